@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+require("dotenv").config({ quiet: true });
+const { main } = require("./lib/cli");
+
+// Ctrl+C cancels the run and still prints the best answer so far; a second
+// one exits at once.
+const controller = new AbortController();
+process.on("SIGINT", () => {
+  if (controller.signal.aborted) process.exit(130);
+  controller.abort("interrupted");
+});
+
+main(process.argv.slice(2), { signal: controller.signal })
+  .then((code) => process.exit(code))
+  .catch((err) => {
+    console.error(err.stack || err.message);
+    process.exit(1);
+  });
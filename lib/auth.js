@@ -0,0 +1,204 @@
+const crypto = require("crypto");
+const util = require("util");
+
+// Optional authentication. Users come from the "auth" block of the config
+// file; with no users configured the server stays open and every client is
+// identified (and rate limited) by IP address. Secrets are stored hashed:
+//   password: "scrypt:<salt>:<hash>"   tokens: ["sha256:<hash>", ...]
+// `node lib/auth.js password` and `node lib/auth.js token` print new ones.
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  return `scrypt:${salt}:${crypto.scryptSync(password, salt, 32).toString("hex")}`;
+}
+
+const scrypt = util.promisify(crypto.scrypt);
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split(":");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+const hashToken = (token) => `sha256:${sha256(token)}`;
+const newToken = () => `cns_${crypto.randomBytes(24).toString("base64url")}`;
+
+function authError(status, type, message, retryAfter) {
+  const err = new Error(message);
+  Object.assign(err, { status, type });
+  if (retryAfter) err.retryAfter = retryAfter;
+  return err;
+}
+
+// Maps that forget their oldest keys past MAX_TRACKED, so that a flood of
+// distinct credentials or addresses can't grow them without end.
+const MAX_TRACKED = 10000;
+function remember(map, key, value) {
+  map.delete(key);
+  map.set(key, value);
+  if (map.size > MAX_TRACKED) map.delete(map.keys().next().value);
+}
+
+// settings: { users: [{ id, password?, tokens?, limits? }], limits,
+//   loginFailures: { perIp, perUser, windowSeconds } }
+function createAuth({ users = [], limits = {}, loginFailures = {} } = {}, now = Date.now) {
+  const enabled = users.length > 0;
+  const byId = new Map(users.map((u) => [u.id, u]));
+  const byToken = new Map();
+  for (const u of users) for (const t of u.tokens || []) byToken.set(t, u);
+  // Basic credentials that already passed scrypt, so a logged-in browser
+  // doesn't pay for it on every request.
+  const verified = new Map();
+  // Failed Basic logins in the last windowSeconds, by IP and by user name.
+  // Past either cap the next attempt gets a 429 before scrypt runs. Each
+  // attempt counts as failed until it succeeds, so parallel guesses can't
+  // all slip under the cap.
+  const failures = { ip: new Map(), user: new Map() };
+  const windowMs = (loginFailures.windowSeconds || 900) * 1000;
+
+  function recentFailures(map, key) {
+    const since = now() - windowMs;
+    const list = (map.get(key) || []).filter((at) => at > since);
+    if (list.length) map.set(key, list);
+    else map.delete(key);
+    return list;
+  }
+
+  function throttle(ip, name) {
+    for (const [map, key, cap] of [[failures.ip, ip, loginFailures.perIp], [failures.user, name, loginFailures.perUser]]) {
+      const list = recentFailures(map, key);
+      if (cap && list.length >= cap) {
+        throw authError(429, "rate_limited", "Too many failed logins; try again later.",
+          Math.ceil((list[0] + windowMs - now()) / 1000));
+      }
+    }
+  }
+
+  // The address always counts; the user name only when it is a real one.
+  const counted = (ip, name) => [[failures.ip, ip], ...(byId.has(name) ? [[failures.user, name]] : [])];
+
+  function attempt(ip, name) {
+    const at = now();
+    for (const [map, key] of counted(ip, name)) remember(map, key, [...recentFailures(map, key), at]);
+    return at;
+  }
+
+  function succeeded(ip, name, at) {
+    for (const [map, key] of counted(ip, name)) {
+      const list = map.get(key) || [];
+      const i = list.indexOf(at);
+      if (i !== -1) list.splice(i, 1);
+    }
+  }
+
+  async function authenticate(header, ip) {
+    const [scheme, value = ""] = header.split(" ");
+    if (/^bearer$/i.test(scheme)) return byToken.get(hashToken(value.trim())) || null;
+    if (!/^basic$/i.test(scheme)) return null;
+    const digest = sha256(value);
+    if (verified.has(digest)) return verified.get(digest);
+    const decoded = Buffer.from(value, "base64").toString("utf-8");
+    const i = decoded.indexOf(":");
+    const name = i === -1 ? "" : decoded.slice(0, i);
+    throttle(ip, name);
+    const at = attempt(ip, name);
+    const user = byId.get(name);
+    if (i === -1 || !user?.password || !(await verifyPassword(decoded.slice(i + 1), user.password))) return null;
+    succeeded(ip, name, at);
+    remember(verified, digest, user);
+    return user;
+  }
+
+  return {
+    enabled,
+    // Sets req.user = { id }, or passes a 401 (or, after too many failed
+    // logins, 429) error on.
+    async middleware(req, res, next) {
+      if (!enabled) {
+        req.user = { id: `ip:${req.ip}` };
+        return next();
+      }
+      let user;
+      try {
+        user = await authenticate(req.get("authorization") || "", req.ip);
+      } catch (err) {
+        return next(err);
+      }
+      if (user) {
+        req.user = { id: user.id };
+        return next();
+      }
+      res.set("WWW-Authenticate", "Basic realm=\"AI Consensus\", charset=\"UTF-8\"");
+      next(authError(401, "unauthorized", "Authentication required: send a Bearer token or log in."));
+    },
+    limitsFor(id) {
+      return { ...limits, ...(byId.get(id)?.limits || {}) };
+    },
+  };
+}
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Per-user caps from limitsFor(id): { requestsPerMinute, tokensPerHour }.
+// Both are sliding windows; null or 0 means unlimited.
+function createRateLimiter(limitsFor, now = Date.now) {
+  const requests = new Map(); // user -> [timestamp]
+  const tokens = new Map(); // user -> [{ at, n }]
+
+  function recent(map, id, windowMs) {
+    const since = now() - windowMs;
+    const list = (map.get(id) || []).filter((e) => (e.at ?? e) > since);
+    map.set(id, list);
+    return list;
+  }
+
+  function remainingTokens(id) {
+    const cap = limitsFor(id).tokensPerHour;
+    if (!cap) return Infinity;
+    return Math.max(0, cap - recent(tokens, id, HOUR).reduce((sum, e) => sum + e.n, 0));
+  }
+
+  return {
+    remainingTokens,
+    // Counts one run against the user, or throws a 429 error with retryAfter (seconds).
+    take(id) {
+      const { requestsPerMinute, tokensPerHour } = limitsFor(id);
+      if (remainingTokens(id) <= 0) {
+        const oldest = tokens.get(id)[0].at;
+        throw authError(429, "rate_limited", `Token limit reached (${tokensPerHour} per hour).`,
+          Math.ceil((oldest + HOUR - now()) / 1000));
+      }
+      if (!requestsPerMinute) return;
+      const list = recent(requests, id, MINUTE);
+      if (list.length >= requestsPerMinute) {
+        throw authError(429, "rate_limited", `Rate limit reached (${requestsPerMinute} runs per minute).`,
+          Math.ceil((list[0] + MINUTE - now()) / 1000));
+      }
+      list.push(now());
+    },
+    record(id, n) {
+      if (n > 0) recent(tokens, id, HOUR).push({ at: now(), n });
+    },
+  };
+}
+
+module.exports = { hashPassword, verifyPassword, hashToken, newToken, authError, createAuth, createRateLimiter };
+
+// node lib/auth.js password   (reads the password from stdin)
+// node lib/auth.js token      (prints a new token and the hash for the config)
+if (require.main === module) {
+  const cmd = process.argv[2];
+  if (cmd === "token") {
+    const token = newToken();
+    console.log(`token: ${token}\nhash:  ${hashToken(token)}`);
+  } else if (cmd === "password") {
+    let input = "";
+    process.stdin.on("data", (c) => (input += c));
+    process.stdin.on("end", () => console.log(hashPassword(input.replace(/\r?\n$/, ""))));
+  } else {
+    console.log("Usage: node lib/auth.js token | password < password.txt");
+    process.exitCode = 1;
+  }
+}
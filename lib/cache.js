@@ -0,0 +1,146 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+
+// Opt-in response cache for model calls (see callModel in lib/providers.js).
+// One JSON file per completion under CACHE_DIR, named by the SHA-256 of the
+// request: provider, model, endpoint, parameters and the full messages. API
+// keys are never part of the key. Entries expire after ttlSeconds; past
+// maxEntries or maxBytes the least recently used ones are removed. Calls
+// already in flight are tracked in memory so identical ones can join them.
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, "..", "data", "cache");
+
+// settings: { ttlSeconds, maxEntries, maxBytes, rescanSeconds, dir }
+function createResponseCache(settings) {
+  const dir = settings.dir || CACHE_DIR;
+  const ttlMs = (settings.ttlSeconds || 0) * 1000;
+  const file = (key) => (/^[0-9a-f]{64}$/.test(key || "") ? path.join(dir, `${key}.json`) : null);
+  const pending = new Map();
+  const stats = { hits: 0, misses: 0, joined: 0, stored: 0 };
+
+  // File -> { size, used }, so that writes don't rescan the directory. Kept in
+  // least recently used order: a Map iterates in insertion order, and every
+  // use re-inserts. The server and the CLI can share the directory, so what
+  // this process didn't write is picked up when read, and the whole index is
+  // read again from disk at most every rescanSeconds, before a prune.
+  const index = new Map();
+  let bytes = 0;
+  let scannedAt = 0;
+  function scan() {
+    index.clear();
+    bytes = 0;
+    scannedAt = Date.now();
+    if (!fs.existsSync(dir)) return;
+    fs.readdirSync(dir)
+      .filter((f) => f.endsWith(".json"))
+      .map((f) => {
+        try {
+          const st = fs.statSync(path.join(dir, f));
+          return { f: path.join(dir, f), size: st.size, used: st.mtimeMs };
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.used - b.used)
+      .forEach(({ f, size, used }) => {
+        index.set(f, { size, used });
+        bytes += size;
+      });
+  }
+  scan();
+
+  const expired = (createdAt) => ttlMs > 0 && Date.now() - createdAt > ttlMs;
+
+  function touch(f, size, used) {
+    bytes -= index.get(f)?.size || 0;
+    index.delete(f);
+    index.set(f, { size, used });
+    bytes += size;
+  }
+
+  function remove(f) {
+    try { fs.unlinkSync(f); } catch {}
+    bytes -= index.get(f)?.size || 0;
+    index.delete(f);
+  }
+
+  // The least recently used go first until both limits hold, and so does any
+  // entry unused for the whole TTL (reads refresh `used`, as they do mtime).
+  function prune() {
+    if (Date.now() - scannedAt >= (settings.rescanSeconds ?? 60) * 1000) scan();
+    for (const [f, e] of index) {
+      const over = (settings.maxEntries > 0 && index.size > settings.maxEntries) || (settings.maxBytes > 0 && bytes > settings.maxBytes);
+      if (!over && !expired(e.used)) break;
+      remove(f);
+    }
+  }
+
+  return {
+    key(request) {
+      return crypto.createHash("sha256").update(JSON.stringify(request)).digest("hex");
+    },
+
+    // The stored { text, usage, createdAt } or null; a hit counts as a use.
+    get(key) {
+      const f = file(key);
+      let entry = null;
+      let size = 0;
+      try {
+        const raw = fs.readFileSync(f, "utf-8");
+        size = Buffer.byteLength(raw);
+        entry = JSON.parse(raw);
+      } catch {}
+      if (entry && expired(entry.createdAt)) {
+        remove(f);
+        entry = null;
+      }
+      if (!entry) {
+        // Gone, perhaps removed by another process.
+        if (index.has(f)) remove(f);
+        stats.misses += 1;
+        return null;
+      }
+      stats.hits += 1;
+      const now = new Date();
+      try { fs.utimesSync(f, now, now); } catch {}
+      touch(f, size, now.getTime());
+      return entry;
+    },
+
+    set(key, { text, usage }) {
+      const f = file(key);
+      if (!f) return;
+      fs.mkdirSync(dir, { recursive: true });
+      const data = JSON.stringify({ text, usage, createdAt: Date.now() });
+      fs.writeFileSync(`${f}.tmp`, data);
+      fs.renameSync(`${f}.tmp`, f);
+      touch(f, Buffer.byteLength(data), Date.now());
+      stats.stored += 1;
+      prune();
+    },
+
+    // The promise of an identical call still in flight, if any.
+    pending(key) {
+      const p = pending.get(key);
+      if (p) stats.joined += 1;
+      return p;
+    },
+
+    // Makes `promise` joinable under `key` until it settles.
+    track(key, promise) {
+      pending.set(key, promise);
+      const done = () => {
+        if (pending.get(key) === promise) pending.delete(key);
+      };
+      promise.then(done, done);
+      return promise;
+    },
+
+    stats() {
+      return { ...stats, inFlight: pending.size };
+    },
+  };
+}
+
+module.exports = { CACHE_DIR, createResponseCache };
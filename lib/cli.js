@@ -0,0 +1,283 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const readline = require("readline");
+const {
+  loadParticipants,
+  loadReviewSettings,
+  loadConvergenceSettings,
+  loadGroundingSettings,
+  loadPrices,
+  loadCacheSettings,
+} = require("./config");
+const { missingKeys } = require("./providers");
+const { runConsensus } = require("./consensus");
+const { getStrategy, listStrategies } = require("./strategies");
+const { getPromptLibrary, createPrompts } = require("./prompts");
+const { createSettingsResolver } = require("./settings");
+const { sendEvent, createEventCollector } = require("./sse");
+const { MAX_FILE_BYTES, isAllowedFile, parseFiles, buildQuery } = require("./files");
+const { buildTranscript } = require("./transcript");
+const { ENV_FALLBACK } = require("./vault");
+const { createResponseCache } = require("./cache");
+const { configureLogging, logger } = require("./log");
+
+// Command-line front end for runConsensus: the same engine, settings and
+// prompts as the server, with the events printed as a progress log on stderr
+// and the answer (or, with --json, the whole transcript) on stdout.
+const USAGE = `Usage: node index.js [options] [question...]
+
+The question comes from the arguments, --question-file, or stdin (ending at
+EOF or a line with just END).
+
+Options:
+  --mode=<id>            robust | fast | synthesis | debate | judge (default robust)
+  --fast, --robust       Shorthand for --mode=fast / --mode=robust
+  --iters=<n>            Max iterations, 1-20 (default 5)
+  --file=<path>          Attach a file; repeat for more
+  --question-file=<path> Read the question from a file ("-" for stdin)
+  --preset=<id>          Prompt preset, e.g. code-review
+  --instructions=<text>  Extra instructions for this request
+  --schedule=<s>         Review schedule: all-pairs | ring
+  --ring-size=<n>        Reviewers per answer with --schedule=ring
+  --quorum=<q>           majority | all | any | a count or fraction
+  --no-convergence       Don't stop early on converged answers
+  --no-cache             Call the models even if the response cache has replies
+  --max-tokens=<n>       Budget caps for the whole run
+  --max-cost=<usd>
+  --max-seconds=<s>
+  --json                 Print the result and transcript as JSON
+  --quiet                No progress log
+  -h, --help             Show this help
+
+Keys come from the environment (${Object.values(ENV_FALLBACK).join(", ")}, or a
+participant's apiKeyEnv); participants from consensus.config.json or CONSENSUS_CONFIG.
+LOG_LEVEL=info (or debug) adds JSON call logs to stderr.
+
+Exit codes: 0 consensus or converged, 3 fallback, 4 budget cap hit,
+130 cancelled, 1 error, 2 bad usage.`;
+
+const EXIT_CODES = { consensus: 0, converged: 0, error: 1, usage: 2, fallback: 3, budget: 4, cancelled: 130 };
+
+const FLAGS = ["fast", "robust", "json", "quiet", "no-convergence", "no-cache", "help"];
+const OPTIONS = [
+  "mode", "iters", "iterations", "file", "question-file", "preset", "instructions",
+  "schedule", "ring-size", "quorum", "max-tokens", "max-cost", "max-seconds",
+];
+
+const usageError = (message) => Object.assign(new Error(message), { usage: true });
+
+// argv -> { question: [words], file: [paths], <option>: value, <flag>: true }.
+// Options take "--name=value" or "--name value"; "--" ends them.
+function parseArgs(argv) {
+  const opts = { question: [], file: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--") {
+      opts.question.push(...argv.slice(i + 1));
+      break;
+    }
+    if (arg === "-h") {
+      opts.help = true;
+      continue;
+    }
+    const m = /^--([a-z-]+)(?:=([\s\S]*))?$/.exec(arg);
+    if (!m) {
+      opts.question.push(arg);
+      continue;
+    }
+    const [, name, inline] = m;
+    if (FLAGS.includes(name) && inline === undefined) {
+      opts[name] = true;
+      continue;
+    }
+    if (!OPTIONS.includes(name)) throw usageError(`Unknown option: --${name}`);
+    const value = inline ?? argv[++i];
+    if (value === undefined) throw usageError(`--${name} needs a value.`);
+    if (name === "file") opts.file.push(value);
+    else opts[name] = value;
+  }
+  return opts;
+}
+
+// Lines up to EOF or a line that is just "END".
+function readUntilEnd(stream) {
+  return new Promise((resolve, reject) => {
+    const lines = [];
+    const rl = readline.createInterface({ input: stream, terminal: false });
+    rl.on("line", (line) => {
+      if (line.trim() === "END") rl.close();
+      else lines.push(line);
+    });
+    rl.on("close", () => resolve(lines.join("\n")));
+    stream.on("error", reject);
+  });
+}
+
+async function readQuestion(opts, stdin, log) {
+  if (opts["question-file"] && opts["question-file"] !== "-") {
+    try {
+      return fs.readFileSync(opts["question-file"], "utf-8");
+    } catch (err) {
+      throw usageError(`Can't read ${opts["question-file"]}: ${err.code || err.message}`);
+    }
+  }
+  if (opts.question.length && !opts["question-file"]) return opts.question.join(" ");
+  if (stdin.isTTY) log("Enter your question; type END on its own line to submit.");
+  return readUntilEnd(stdin);
+}
+
+// The --file paths as parseFiles inputs; a bad path is a usage error.
+function attachments(paths) {
+  return paths.map((f) => {
+    if (!fs.existsSync(f) || !fs.statSync(f).isFile()) throw usageError(`No such file: ${f}`);
+    if (!isAllowedFile(f)) throw usageError(`Unsupported file type: ${f}`);
+    if (fs.statSync(f).size > MAX_FILE_BYTES) throw usageError(`${f} is larger than 10 MB.`);
+    return { name: path.basename(f), path: f };
+  });
+}
+
+// One progress line per event worth showing, or null.
+function describeEvent(event, d, names = {}) {
+  const who = (id) => names[id] || id;
+  switch (event) {
+    case "files":
+      return d.files.map((f) => [`File ${f.name}: ${f.status}${f.reason ? ` (${f.reason})` : ""}`,
+        ...(f.warnings || []).map((w) => `  warning: ${w}`)].join("\n")).join("\n");
+    case "participants":
+      return `Participants: ${d.participants.map((p) => `${p.name} (${p.model || p.provider})`).join(", ")} · ${d.strategy} · prompts ${d.prompts?.version}`;
+    case "status":
+      return d.message;
+    case "iteration":
+      return `── Iteration ${d.iteration} ──`;
+    case "debate_round":
+      return `Debate round ${d.round} (${d.stage})`;
+    case "step":
+      return `${d.model}: ${d.action}…`;
+    case "cache":
+      return `${d.model}: ${d.phase} reply from the cache${d.source === "in-flight" ? " (shared call)" : ""}`;
+    case "answer":
+      return `${d.model} answered (${d.text.length} chars)`;
+    case "grounding":
+      return `${d.model}: ${d.supported} claim(s) supported, ${d.unsupported} unsupported, ${d.contradicted} contradicted`;
+    case "review":
+      return `${d.reviewer} → ${d.reviewed}: ${d.result ? `${d.result.decision} (${d.result.confidence})` : "no valid review"}`;
+    case "verdict":
+      return `Verdicts: ${d.verdicts.map((v) => `${who(v.participant)} ${v.accepted ? "accepted" : "not accepted"} (${v.votes}/${v.needed})`).join(", ")}`;
+    case "similarity":
+      return d.minAgreement == null ? null : `Agreement ${d.minAgreement.toFixed(2)}${d.converged ? " (converged)" : ""}`;
+    case "synthesis":
+      return `${d.model} merged ${d.from.map(who).join(", ")} (attempt ${d.attempt})`;
+    case "synthesis_verdict":
+      return `Synthesis ${d.accepted ? "accepted" : "rejected"}`;
+    case "judgment":
+      return d.winner ? `Judge ${d.model} picked ${who(d.winner)}: ${d.reasons}` : `Judge ${d.model}: ${d.reasons}`;
+    case "error":
+      return `Error: ${d.message}`;
+    default:
+      return null;
+  }
+}
+
+function summarize(result) {
+  const u = result.usage || {};
+  return [
+    `${result.outcome}${result.reason ? ` (${result.reason})` : ""}`,
+    result.winner && `winner ${result.winner}`,
+    `${result.totalCalls} calls`,
+    u.cacheHits && `${u.cacheHits} cached`,
+    u.inputTokens !== undefined && `${u.inputTokens + u.outputTokens} tokens`,
+    Number.isFinite(u.costUsd) && `$${u.costUsd.toFixed(4)}`,
+  ].filter(Boolean).join(" · ");
+}
+
+// Runs one request from `argv` and resolves with the exit code. io replaces
+// the process streams and environment (for tests); aborting `signal` cancels
+// the run, which still reports the best answer so far.
+async function main(argv, { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr, env = process.env, signal } = {}) {
+  let opts = { question: [], file: [] };
+  const startedAt = Date.now();
+  const log = (line) => {
+    if (!opts.quiet) stderr.write(`[${((Date.now() - startedAt) / 1000).toFixed(1).padStart(5)}s] ${line}\n`);
+  };
+  // JSON logs only on request, and never on stdout.
+  configureLogging({ level: env.LOG_LEVEL || "silent", write: (line) => stderr.write(`${line}\n`) });
+  try {
+    opts = parseArgs(argv);
+    if (opts.help) {
+      stdout.write(`${USAGE}\n`);
+      return 0;
+    }
+    const participants = loadParticipants();
+    const promptLibrary = getPromptLibrary();
+    const mode = opts.mode || (opts.fast ? "fast" : "robust");
+    if (!getStrategy(mode)) {
+      throw usageError(`Unknown mode: ${mode} (one of ${listStrategies(participants).map((s) => s.id).join(", ")})`);
+    }
+    const resolveSettings = createSettingsResolver({
+      participants,
+      reviewDefaults: loadReviewSettings(),
+      convergenceDefaults: loadConvergenceSettings(),
+      groundingDefaults: loadGroundingSettings(),
+      promptLibrary,
+    });
+    let settings;
+    try {
+      settings = resolveSettings({
+        mode,
+        iterations: opts.iters ?? opts.iterations,
+        schedule: opts.schedule,
+        ringSize: opts["ring-size"],
+        quorum: opts.quorum,
+        convergence: !opts["no-convergence"],
+        cache: !opts["no-cache"],
+        budget: { maxTokens: opts["max-tokens"], maxCostUsd: opts["max-cost"], maxSeconds: opts["max-seconds"] },
+        preset: opts.preset,
+        instructions: opts.instructions,
+      });
+    } catch (err) {
+      throw usageError(err.message);
+    }
+
+    const keys = Object.fromEntries(Object.entries(ENV_FALLBACK).map(([name, variable]) => [name, env[variable] || ""]));
+    const missing = missingKeys(participants, keys);
+    if (missing.length) {
+      throw usageError(`Missing API key(s): set ${missing.map((k) => ENV_FALLBACK[k] || k).join(" and ")}.`);
+    }
+
+    const files = attachments(opts.file);
+    const question = (await readQuestion(opts, stdin, log)).trim();
+    if (!question && !files.length) throw usageError("Provide a question or --file attachments.");
+
+    const { fullQuery, included, report } = buildQuery(question, await parseFiles(files));
+    const prompts = createPrompts(promptLibrary, settings);
+    const cacheSettings = loadCacheSettings();
+    const cache = cacheSettings.enabled ? createResponseCache(cacheSettings) : null;
+    const names = Object.fromEntries(participants.map((p) => [p.id, p.name]));
+    const sink = createEventCollector((event, data) => {
+      const line = describeEvent(event, data, names);
+      if (line) log(line);
+    });
+    sink.locals.logger = logger.child({ runId: crypto.randomUUID() }, Object.values(keys));
+    if (report.length) sendEvent(sink, "files", { files: report, promptVersion: prompts.version });
+
+    try {
+      await runConsensus(fullQuery, {
+        ...settings, participants, keys, prices: loadPrices(), signal, sources: included, prompts, cache,
+      }, sink);
+    } catch (err) {
+      sendEvent(sink, "error", { message: err.message, promptVersion: prompts.version });
+    }
+    const result = buildTranscript(sink.events);
+    log(summarize(result));
+    if (opts.json) stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    else if (result.answer) stdout.write(`${result.answer}\n`);
+    return EXIT_CODES[result.outcome] ?? EXIT_CODES.error;
+  } catch (err) {
+    if (!err.usage) throw err;
+    stderr.write(`${err.message}\n${err.message.startsWith("Unknown option") ? "Run with --help for the options.\n" : ""}`);
+    return EXIT_CODES.usage;
+  }
+}
+
+module.exports = { USAGE, EXIT_CODES, parseArgs, readUntilEnd, describeEvent, main };
@@ -0,0 +1,205 @@
+const path = require("path");
+const fs = require("fs");
+
+// Default participants. Override by pointing CONSENSUS_CONFIG at a JSON file
+// (or dropping consensus.config.json next to server.js) with a "participants" array.
+const DEFAULT_PARTICIPANTS = [
+  {
+    id: "claude",
+    name: "Claude",
+    provider: "anthropic",
+    model: "claude-sonnet-4-20250514",
+    endpoint: "https://api.anthropic.com/v1/messages",
+    concurrency: 1,
+    maxRetries: 7,
+    maxTokens: 4000,
+  },
+  {
+    id: "gpt",
+    name: "GPT",
+    provider: "openai-responses",
+    model: "gpt-5.2",
+    endpoint: "https://api.openai.com/v1/responses",
+    concurrency: 2,
+    maxRetries: 5,
+    maxTokens: 4000,
+    temperature: 0.3,
+    reviewTemperature: 0.2,
+  },
+];
+
+const DEFAULT_REVIEW = {
+  schedule: "all-pairs", // or "ring"
+  ringSize: 1, // ring only: how many following participants review each answer
+  quorum: "majority", // "majority" | "all" | "any" | count | fraction (0-1)
+};
+
+// Early exit in robust mode when answers stop changing and agree on key claims.
+const DEFAULT_CONVERGENCE = {
+  enabled: true,
+  selfThreshold: 0.9, // min diff similarity of each participant's consecutive answers
+  agreementThreshold: 0.5, // min key-claim agreement between stable answers
+  strongAgreementThreshold: 0.85, // key-claim agreement that is enough on its own
+};
+
+// Claim check of every answer against the attached files (lib/grounding.js).
+const DEFAULT_GROUNDING = {
+  enabled: true,
+  // Also fail acceptance on a number, date or quote the sources don't contain.
+  // Off by default: derived results (sums, conversions) and common facts are
+  // never found word for word.
+  blockUnsupported: false,
+};
+
+// USD per 1M tokens, used for estimated cost only. Override or extend with a
+// "prices" object in the config file, or a "price" field on a participant.
+const DEFAULT_PRICES = {
+  "claude-sonnet-4-20250514": { input: 3, output: 15 },
+  "gpt-5.2": { input: 1.75, output: 14 },
+};
+
+// Background jobs (POST /api/jobs). The webhook signing secret comes from the
+// WEBHOOK_SECRET environment variable, never from the config file.
+const DEFAULT_JOBS = {
+  concurrency: 2, // runs executed at once across all jobs
+  webhookRetries: 3, // extra delivery attempts after a failed webhook POST
+  webhookRetryDelayMs: 2000, // first retry delay; multiplied by 4 per attempt
+  webhookAllowedHosts: [], // internal hosts webhooks may reach anyway (also WEBHOOK_ALLOWED_HOSTS)
+  keepDays: 30, // finished jobs are deleted this long after they finish
+  keepFinished: 1000, // and beyond the newest this many
+};
+
+// Conversation sessions: how much of the earlier turns and files follow-ups see.
+const DEFAULT_SESSIONS = {
+  maxContextChars: 24000, // conversation + earlier files added to each prompt
+  recentTurns: 3, // turns kept verbatim; older ones are summarized
+  summarizer: null, // participant id that writes summaries (default: the first)
+  summaryMaxTokens: 600,
+};
+
+// Response cache for model calls (lib/cache.js), off unless enabled. Entries
+// live in CACHE_DIR (default data/cache).
+const DEFAULT_CACHE = {
+  enabled: false,
+  ttlSeconds: 86400, // how long a stored reply is reused
+  maxEntries: 2000, // least recently used replies beyond this are removed
+  maxBytes: 50 * 1024 * 1024,
+  rescanSeconds: 60, // how often the directory is read again for other processes' entries
+};
+
+// Users and per-user limits. No users = no login, limits apply per IP.
+const DEFAULT_AUTH = {
+  users: [], // [{ id, password: "scrypt:…", tokens: ["sha256:…"], limits: {…} }]
+  allowClientKeys: true, // false: only server-managed keys (vault / .env) are used
+  limits: {
+    requestsPerMinute: null, // runs started per user
+    tokensPerHour: null, // input + output tokens per user
+  },
+  loginFailures: {
+    perIp: 20, // failed password logins per address before further tries get a 429
+    perUser: 10, // the same per user name, from any address
+    windowSeconds: 900,
+  },
+};
+
+function readConfigFile() {
+  const file = process.env.CONSENSUS_CONFIG
+    ? path.resolve(process.env.CONSENSUS_CONFIG)
+    : path.join(__dirname, "..", "consensus.config.json");
+  if (!fs.existsSync(file)) {
+    if (process.env.CONSENSUS_CONFIG) throw new Error(`Config file not found: ${file}`);
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(file, "utf-8"));
+}
+
+function loadParticipants() {
+  const cfg = readConfigFile();
+  const list = Array.isArray(cfg.participants) ? cfg.participants : DEFAULT_PARTICIPANTS;
+  if (list.length < 2) throw new Error("At least two participants must be configured.");
+
+  const seen = new Set();
+  return list.map((p, i) => {
+    if (!p.provider) throw new Error(`Participant #${i + 1} is missing "provider".`);
+    const id = String(p.id || p.name || `p${i + 1}`).toLowerCase();
+    if (seen.has(id)) throw new Error(`Duplicate participant id: ${id}`);
+    seen.add(id);
+    return { ...p, id, name: p.name || id };
+  });
+}
+
+function loadReviewSettings() {
+  const cfg = readConfigFile();
+  return { ...DEFAULT_REVIEW, ...(cfg.review || {}) };
+}
+
+function loadConvergenceSettings() {
+  const cfg = readConfigFile();
+  return { ...DEFAULT_CONVERGENCE, ...(cfg.convergence || {}) };
+}
+
+function loadGroundingSettings() {
+  const cfg = readConfigFile();
+  return { ...DEFAULT_GROUNDING, ...(cfg.grounding || {}) };
+}
+
+function loadPrices() {
+  const cfg = readConfigFile();
+  return { ...DEFAULT_PRICES, ...(cfg.prices || {}) };
+}
+
+function loadJobSettings() {
+  const cfg = readConfigFile();
+  const jobs = { ...DEFAULT_JOBS, ...(cfg.jobs || {}) };
+  const fromEnv = (process.env.WEBHOOK_ALLOWED_HOSTS || "").split(",").map((h) => h.trim()).filter(Boolean);
+  return {
+    ...jobs,
+    webhookAllowedHosts: [...jobs.webhookAllowedHosts, ...fromEnv].map((h) => h.toLowerCase()),
+    webhookSecret: process.env.WEBHOOK_SECRET || null,
+  };
+}
+
+function loadSessionSettings() {
+  const cfg = readConfigFile();
+  return { ...DEFAULT_SESSIONS, ...(cfg.sessions || {}) };
+}
+
+function loadCacheSettings() {
+  const cfg = readConfigFile();
+  return { ...DEFAULT_CACHE, ...(cfg.cache || {}) };
+}
+
+function loadAuthSettings() {
+  const cfg = readConfigFile();
+  const auth = { ...DEFAULT_AUTH, ...(cfg.auth || {}) };
+  auth.limits = { ...DEFAULT_AUTH.limits, ...(cfg.auth?.limits || {}) };
+  auth.loginFailures = { ...DEFAULT_AUTH.loginFailures, ...(cfg.auth?.loginFailures || {}) };
+  const seen = new Set();
+  for (const u of auth.users) {
+    if (!u.id || seen.has(u.id)) throw new Error(`auth.users: missing or duplicate id "${u.id || ""}".`);
+    if (!u.password && !u.tokens?.length) throw new Error(`auth.users: "${u.id}" needs a password or tokens.`);
+    seen.add(u.id);
+  }
+  return auth;
+}
+
+module.exports = {
+  DEFAULT_PARTICIPANTS,
+  DEFAULT_REVIEW,
+  DEFAULT_PRICES,
+  DEFAULT_CONVERGENCE,
+  DEFAULT_GROUNDING,
+  DEFAULT_JOBS,
+  DEFAULT_AUTH,
+  DEFAULT_SESSIONS,
+  DEFAULT_CACHE,
+  loadParticipants,
+  loadReviewSettings,
+  loadConvergenceSettings,
+  loadGroundingSettings,
+  loadPrices,
+  loadJobSettings,
+  loadAuthSettings,
+  loadSessionSettings,
+  loadCacheSettings,
+};
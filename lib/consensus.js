@@ -0,0 +1,607 @@
+const { DEFAULT_CONVERGENCE, DEFAULT_GROUNDING, DEFAULT_PRICES } = require("./config");
+const { callModel, supportsNativeJson } = require("./providers");
+const { createUsageTracker, budgetExceeded } = require("./usage");
+const { measureConvergence } = require("./convergence");
+const { createVerifier } = require("./grounding");
+const { parseReview, parseReviewJson, providerSchema } = require("./review");
+const { sendEvent } = require("./sse");
+const { defaultPrompts } = require("./prompts");
+const { outcomeOf } = require("./transcript");
+const { logger } = require("./log");
+const { metrics } = require("./metrics");
+
+const REVIEW_MAX_TOKENS = 700;
+const MAX_ANSWER_CHARS_FOR_REVIEW = 14000;
+
+function clampText(s, max, suffix) {
+  if (!s) return "";
+  return s.length <= max ? s : s.slice(0, max) + (suffix || "\n...[TRUNCATED]...");
+}
+
+function clampForReview(t) {
+  return clampText(t || "", MAX_ANSWER_CHARS_FOR_REVIEW, "\n...[TRUNCATED_FOR_REVIEW]...");
+}
+
+function looksTruncated(text) {
+  if (!text?.trim()) return true;
+  const t = text.trim();
+  if (/[:\-•…]$/.test(t)) return true;
+  if (t.endsWith("...")) return true;
+  if (/\s[A-Za-z]$/.test(t)) return true;
+  const lower = t.toLowerCase();
+  for (const w of [
+    "and", "or", "with", "without", "to", "for", "because",
+    "including", "like", "such as", "e.g.", "via", "is", "are", "was", "were",
+  ]) {
+    if (lower.endsWith(" " + w) || lower === w) return true;
+  }
+  for (const m of ["consider adding", "to be continued", "todo", "next steps", "continue"]) {
+    if (lower.endsWith(m)) return true;
+  }
+  return false;
+}
+
+function stripEndToken(t) {
+  return (t || "").replace(/\s*END_OF_ANSWER\s*$/g, "").trim();
+}
+
+function ensureEndToken(t) {
+  const s = (t || "").trim();
+  return /\bEND_OF_ANSWER\b/.test(s) ? s : s ? `${s}\nEND_OF_ANSWER` : "END_OF_ANSWER";
+}
+
+function hasEndToken(t) {
+  return /\bEND_OF_ANSWER\b/.test(t || "");
+}
+
+// Wraps a streaming delta callback so END_OF_ANSWER never reaches the client:
+// text after the token is dropped and a trailing partial token is held back
+// until the next chunk shows whether it completes. A new attempt starts over.
+function endTokenFilter(emit) {
+  const token = "END_OF_ANSWER";
+  let attempt = 0;
+  let full = "";
+  let sent = 0;
+  return (chunk, info = {}) => {
+    if ((info.attempt || 0) !== attempt) {
+      attempt = info.attempt || 0;
+      full = "";
+      sent = 0;
+    }
+    full += chunk;
+    let visible = full;
+    const at = full.indexOf(token);
+    if (at !== -1) visible = full.slice(0, at);
+    else {
+      for (let k = Math.min(token.length - 1, full.length); k > 0; k--) {
+        if (token.startsWith(full.slice(-k))) { visible = full.slice(0, -k); break; }
+      }
+    }
+    if (visible.length > sent) {
+      emit(visible.slice(sent), { attempt, reset: sent === 0 && attempt > 0 });
+      sent = visible.length;
+    }
+  };
+}
+
+function pickMaxTokensForSolver(userQuery) {
+  const len = (userQuery || "").length;
+  if (len < 500) return 600;
+  if (len < 3000) return 1500;
+  if (len < 9000) return 2500;
+  return 3500;
+}
+
+// ===================== PROMPTS =====================
+// The text lives in prompts/templates (see lib/prompts.js); these fill in the
+// variables. `prompts` is the request's prompt set from createPrompts, which
+// carries its preset and instructions. context: earlier turns of a
+// conversation session (see lib/sessions.js), or "".
+function makeSolverPrompt(userQuery, roleName, context = "", prompts = defaultPrompts()) {
+  return prompts.render("solver", { role: roleName, request: userQuery, context });
+}
+
+// File excerpts in the prompt are headed by citations like [report.pdf §12].
+const citesSections = (text) => /\[[^\]\n]+ §\d+\]/.test(text);
+
+function makeReviewPrompt(userQuery, answerText, reviewerName, context = "", prompts = defaultPrompts()) {
+  return prompts.render("review", {
+    reviewer: reviewerName,
+    request: userQuery,
+    answer: clampForReview(answerText),
+    context,
+    citations: citesSections(userQuery + context),
+    instructions: prompts.instructions,
+  });
+}
+
+function formatCritique(reviewJson) {
+  const issues = Array.isArray(reviewJson?.issues)
+    ? reviewJson.issues.join("\n- ") : "(none)";
+  const suggestions = Array.isArray(reviewJson?.suggestions)
+    ? reviewJson.suggestions.join("\n- ") : "(none)";
+  return `- decision: ${reviewJson?.decision || "REVISE"}
+- is_complete: ${reviewJson?.is_complete}
+- has_unsupported_claims: ${reviewJson?.has_unsupported_claims}
+- has_contradictions: ${reviewJson?.has_contradictions}
+- issues:\n- ${issues}
+- suggestions:\n- ${suggestions}`;
+}
+
+// The claims of an answer that the attachments don't back up, for its author.
+function formatGrounding(grounding) {
+  const flagged = (grounding?.claims || []).filter((c) => c.status !== "supported" && c.kind !== "name");
+  if (!flagged.length) return "";
+  const lines = flagged.map((c) => (c.status === "contradicted"
+    ? `- "${c.text}" contradicts ${c.source}: "${c.excerpt}"`
+    : `- "${c.text}" is not in the request or the attached files: if it is derived from them, show how; if not, say where it comes from or drop it`));
+  return `Fact check of your answer against the attached files:\n${lines.join("\n")}`;
+}
+
+// critiques: [{ reviewer, review, answer }] — one per AI that reviewed yourName.
+function makeRevisionPrompt(userQuery, yourName, critiques, context = "", grounding = null, prompts = defaultPrompts()) {
+  const critiqueText = [
+    ...critiques.map((c) => `Critique from ${c.reviewer}:\n${formatCritique(c.review)}`),
+    formatGrounding(grounding),
+  ].filter(Boolean).join("\n\n");
+  const otherAnswers = critiques
+    .map((c) => `[${c.reviewer}]\n${clampForReview(c.answer)}`)
+    .join("\n\n");
+  return prompts.render("revision", { role: yourName, critiques: critiqueText, request: userQuery, context, otherAnswers });
+}
+
+// answers: [{ name, answer }], all accepted by their reviewers.
+function makeSynthesisPrompt(userQuery, yourName, answers, context = "", prompts = defaultPrompts()) {
+  return prompts.render("synthesis", {
+    role: yourName,
+    request: userQuery,
+    context,
+    answers: answers.map((a) => `[${a.name}]\n${clampForReview(a.answer)}`).join("\n\n"),
+  });
+}
+
+// others: [{ name, answer }], the other debaters' latest answers.
+function makeRebuttalPrompt(userQuery, yourName, others, round, context = "", prompts = defaultPrompts()) {
+  return prompts.render("rebuttal", {
+    role: yourName,
+    round,
+    request: userQuery,
+    context,
+    otherAnswers: others.map((o) => `[${o.name}]\n${clampForReview(o.answer)}`).join("\n\n"),
+  });
+}
+
+// answers: [{ label, answer, grounding }], anonymized as "A", "B", ...
+function makeJudgePrompt(userQuery, judgeName, answers, context = "", prompts = defaultPrompts()) {
+  return prompts.render("judge", {
+    judge: judgeName,
+    labels: answers.map((a) => `"${a.label}"`).join(" | "),
+    request: userQuery,
+    context,
+    instructions: prompts.instructions,
+    answers: answers.map((a) => [
+      `ANSWER ${a.label} (untrusted):`,
+      clampForReview(a.answer),
+      formatGrounding(a.grounding).replace("of your answer", "of this answer"),
+    ].filter(Boolean).join("\n")).join("\n\n"),
+  });
+}
+
+// Folds earlier conversation turns into a short summary for later prompts.
+function makeSummaryPrompt(conversation, prompts = defaultPrompts()) {
+  return prompts.render("summary", { conversation });
+}
+
+// grounding: the answer's claim check (see lib/grounding.js), when files were attached.
+function acceptByReview(rev, answerRaw, grounding = null) {
+  if (!rev) return false;
+  if (grounding && !grounding.ok) return false;
+  if (rev.decision !== "ACCEPT") return false;
+  if (!rev.is_complete || rev.has_unsupported_claims || rev.has_contradictions) return false;
+  if (!hasEndToken(answerRaw)) return false;
+  if (looksTruncated(stripEndToken(answerRaw))) return false;
+  return true;
+}
+
+function quorumNeeded(quorum, n) {
+  if (n === 0) return 0;
+  if (quorum === "all") return n;
+  if (quorum === "any") return 1;
+  const q = Number(quorum);
+  if (q > 0 && q < 1) return Math.ceil(q * n);
+  if (q >= 1) return Math.min(n, Math.floor(q));
+  return Math.floor(n / 2) + 1; // majority
+}
+
+// An answer is accepted when enough of its reviewers pass acceptByReview.
+function acceptByQuorum(reviews, answerRaw, quorum, grounding = null) {
+  const votes = reviews.filter((rev) => acceptByReview(rev, answerRaw, grounding)).length;
+  const needed = quorumNeeded(quorum, reviews.length);
+  return { accepted: reviews.length > 0 && votes >= needed, votes, needed };
+}
+
+// Pairs of [reviewerIndex, targetIndex]. "ring" has each participant review the
+// next `ringSize` participants; "all-pairs" is a ring of size n-1.
+function buildReviewSchedule(n, { schedule, ringSize } = {}) {
+  const k = schedule === "ring"
+    ? Math.min(n - 1, Math.max(1, parseInt(ringSize) || 1))
+    : n - 1;
+  const pairs = [];
+  for (let i = 0; i < n; i++) {
+    for (let step = 1; step <= k; step++) pairs.push([i, (i + step) % n]);
+  }
+  return pairs;
+}
+
+// candidates: [{ answer, reviews, grounding? }] where reviews are the critiques
+// OF that answer. Answers that fail the claim check go last; then ranked by
+// mean reviewer confidence, then fewer issues, then longer answer.
+function rankCandidates(candidates) {
+  const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0.5);
+  const score = (c) => mean((c.reviews || []).map((r) => r?.confidence ?? 0.5));
+  const issues = (c) => (c.reviews || []).reduce((n, r) => n + (r?.issues?.length || 0), 0);
+  const ungrounded = (c) => (c.grounding?.ok === false ? 1 : 0);
+  return [...candidates].sort(
+    (a, b) =>
+      ungrounded(a) - ungrounded(b) ||
+      score(b) - score(a) ||
+      issues(a) - issues(b) ||
+      (b.answer?.length || 0) - (a.answer?.length || 0),
+  );
+}
+
+function pickBest(candidates) {
+  return rankCandidates(candidates)[0] || null;
+}
+
+// Like Promise.all, but waits for every task before rethrowing the first failure
+// so nothing is still writing to the stream after the run errors out.
+async function settleAll(promises) {
+  const settled = await Promise.allSettled(promises);
+  const failed = settled.find((r) => r.status === "rejected");
+  if (failed) throw failed.reason;
+  return settled.map((r) => r.value);
+}
+
+// ===================== ENGINE =====================
+// Streams the run as SSE events on `res` (anything with write(); res.locals.run
+// is used for history when present) and resolves with the final outcome event,
+// { event, data }: "consensus" | "converged" | "fallback" | "cancelled".
+// mode names the strategy (see lib/strategies.js) that drives the run.
+// sources: the parsed attachments, [{ name, content }]; with any, every answer's
+// claims are checked against them and the request (see lib/grounding.js).
+// prompts: the request's prompt set (see lib/prompts.js); its version is sent
+// with every event.
+// cache: a response cache (see lib/cache.js) or null; useCache: false sends
+// every call anyway and only refreshes the cache. Each cache hit is sent as a
+// "cache" event and left out of the usage totals.
+// Calls are logged on res.locals.logger when set (see lib/log.js); the outcome,
+// iterations and duration of the run go to lib/metrics.js.
+async function runConsensus(
+  userQuery,
+  {
+    mode, maxIters, participants, keys, review = {}, convergence = DEFAULT_CONVERGENCE,
+    prices = DEFAULT_PRICES, budget, signal, context = "", sources = [], grounding = DEFAULT_GROUNDING,
+    prompts = defaultPrompts(), cache = null, useCache = true,
+  },
+  res,
+) {
+  // Required here: the strategies are built from this module's exports.
+  const { getStrategy } = require("./strategies");
+  const strategy = getStrategy(mode);
+  if (!strategy) throw new Error(`Unknown mode: ${mode}`);
+  if (participants.length < strategy.minParticipants) {
+    throw new Error(`${strategy.name} needs at least ${strategy.minParticipants} participants.`);
+  }
+
+  // Every event names the prompt version, so runs can be compared across template changes.
+  const send = (event, data) => sendEvent(res, event, { ...data, promptVersion: prompts.version });
+  const log = res.locals?.logger || logger;
+  const usage = createUsageTracker(prices);
+  const verify = grounding.enabled && sources.length
+    // Files first: the request embeds them too, but the file is the better citation.
+    ? createVerifier([...sources, { name: "request", content: userQuery }, { name: "conversation", content: context }], grounding)
+    : null;
+  const startedAt = Date.now();
+  const iterations = strategy.iterations ? strategy.iterations(maxIters) : maxIters;
+  // Budget caps are checked before every call and again before each attempt,
+  // so calls queued behind a participant's limiter don't start once a cap is
+  // hit; in-flight calls are left to finish.
+  const checkBudget = () => {
+    const over = budgetExceeded(usage, budget, startedAt);
+    if (over) throw Object.assign(new Error(`Budget exceeded: ${over.cap}`), { budget: over });
+  };
+  const call = (p, msgs, { phase, key, ...opts } = {}) => {
+    try {
+      checkBudget();
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    return callModel(p, msgs, {
+      ...opts,
+      keys,
+      signal,
+      beforeAttempt: checkBudget,
+      onAttempt: () => usage.attempt(),
+      onUsage: (u) => usage.record(p, phase, u),
+      logger: log,
+      trace: { phase, key },
+      cache,
+      cacheRefresh: !useCache,
+      onCacheHit: (source) => {
+        usage.cacheHit();
+        send("cache", { key, participant: p.id, model: p.name, phase, source });
+      },
+    });
+  };
+
+  const solvers = participants.map((p) => ({
+    id: p.id,
+    p,
+    msgs: [{ role: "user", content: makeSolverPrompt(userQuery, p.name, context, prompts) }],
+    raw: "",
+    answer: "",
+    grounding: null,
+    reviews: [],
+    critiques: [],
+  }));
+  const schedule = buildReviewSchedule(solvers.length, review);
+  const quorum = review.quorum || "majority";
+
+  send("participants", {
+    participants: participants.map((p) => ({
+      id: p.id, name: p.name, provider: p.provider, model: p.model,
+    })),
+    schedule: schedule.map(([r, t]) => [solvers[r].id, solvers[t].id]),
+    quorum,
+    strategy: strategy.id,
+    prompts: { preset: prompts.preset, version: prompts.version, templates: prompts.versions },
+  });
+  send("status", {
+    message: `Mode: ${mode.toUpperCase()} | Max iterations: ${iterations} | ${solvers.length} participants, ${schedule.length} reviews/iter`,
+  });
+
+  const defaultReview = {
+    decision: "REVISE",
+    is_complete: false,
+    has_unsupported_claims: true,
+    has_contradictions: false,
+    issues: ["Review parse failed"],
+    suggestions: ["Be complete and grounded."],
+    confidence: 0.2,
+  };
+
+  // Returns { result, method, errors }. method is how the review was obtained:
+  // "native" | "extracted" | "repaired", or "default" when no JSON came back
+  // even after a retry (result is then null and defaultReview is the critique).
+  async function reviewAnswer(reviewer, target) {
+    const prompt = makeReviewPrompt(userQuery, target.answer, `${reviewer.p.name} (reviewer)`, context, prompts);
+    const native = supportsNativeJson(reviewer.p);
+    const opts = {
+      maxTokens: REVIEW_MAX_TOKENS,
+      temperature: reviewer.p.reviewTemperature,
+      isReview: true,
+      jsonSchema: native ? { name: "submit_review", schema: providerSchema() } : undefined,
+      key: `review:${reviewer.id}>${target.id}`,
+    };
+    let parsed = parseReview(
+      await call(reviewer.p, [{ role: "user", content: prompt }], { ...opts, phase: "review" }),
+      { native },
+    );
+    if (!parsed.review) {
+      parsed = parseReview(await call(
+        reviewer.p,
+        [{ role: "user", content: `Return ONLY valid JSON.\n\n${prompt}` }],
+        { ...opts, phase: "review-retry" },
+      ), { native });
+    }
+    metrics.reviewParses.inc({ method: parsed.review ? parsed.method : "default" });
+    if (!parsed.review) return { result: null, method: "default", errors: parsed.errors };
+    return { result: parsed.review, method: parsed.method, errors: parsed.errors };
+  }
+
+  const observeRun = (outcome) => {
+    const labels = { mode: strategy.id, outcome };
+    metrics.runs.inc(labels);
+    metrics.runIterations.observe(labels, run.iteration);
+    metrics.runDuration.observe(labels, (Date.now() - startedAt) / 1000);
+  };
+
+  const finish = (event, data, winner) => {
+    const payload = {
+      ...data,
+      promptVersion: prompts.version,
+      totalCalls: usage.calls,
+      usage: usage.totals(),
+      winner: winner?.id || null,
+      answer: (winner?.answer || "").trim(),
+    };
+    if (winner?.grounding) payload.grounding = winner.grounding;
+    observeRun(outcomeOf(event, payload));
+    log.info("run finished", {
+      mode: strategy.id, outcome: outcomeOf(event, payload), reason: payload.reason, iterations: run.iteration,
+      ms: Date.now() - startedAt, calls: usage.calls, cacheHits: payload.usage.cacheHits,
+      tokens: payload.usage.inputTokens + payload.usage.outputTokens, costUsd: payload.usage.costUsd,
+    });
+    send(event, payload);
+    return { event, data: payload };
+  };
+
+  // Fallback: prefer answers no reviewer or claim check flagged, then rank as usual.
+  function finishFallback(data) {
+    const answered = solvers.filter((s) => s.answer);
+    const isBad = (s) =>
+      looksTruncated(s.answer) ||
+      s.grounding?.ok === false ||
+      s.reviews.some((r) => r?.has_unsupported_claims || r?.has_contradictions);
+    const good = answered.filter((s) => !isBad(s));
+    return finish("fallback", data, pickBest(good.length ? good : answered));
+  }
+
+  // What a strategy drives the run with. Answers live on the solvers, one per
+  // participant: { id, p, msgs, raw, answer, grounding, reviews, critiques }.
+  let previousAnswers = null;
+  const run = {
+    userQuery,
+    context,
+    solvers,
+    quorum,
+    maxIters: iterations,
+    convergence,
+    iteration: 0,
+    prompts,
+    emit: send,
+    call,
+    verify: (answer) => (verify ? verify(answer) : null),
+    finish,
+    fallback: finishFallback,
+
+    startIteration(n) {
+      run.iteration = n;
+      send("iteration", { iteration: n });
+    },
+
+    // Streams one completion of `msgs` under `key` and returns { raw, answer }.
+    async generate(p, msgs, { key, participant, action, phase }) {
+      send("step", { key, participant, model: p.name, action });
+      const raw = ensureEndToken(await call(p, msgs, {
+        key,
+        system: prompts.system,
+        maxTokens: pickMaxTokensForSolver(userQuery),
+        temperature: p.temperature,
+        phase,
+        onDelta: endTokenFilter((delta, { attempt, reset }) =>
+          send("answer_delta", { key, participant, model: p.name, delta, attempt, reset })),
+      }));
+      return { raw, answer: stripEndToken(raw) };
+    },
+
+    // Solves run concurrently; each participant's limiter still caps its own calls.
+    // split(answer) -> { answer, ...extra } takes a strategy's own parts out of
+    // the answer; the extras are sent with the "answer" event.
+    async solveAll(list = solvers, { split } = {}) {
+      await settleAll(list.map(async (s) => {
+        const key = `solve:${s.id}`;
+        const { raw, answer } = await run.generate(s.p, s.msgs, {
+          key, participant: s.id, action: "solving", phase: run.iteration === 1 ? "solve" : "revision",
+        });
+        const { answer: text, ...extra } = split ? split(answer) : { answer };
+        s.raw = ensureEndToken(text);
+        s.answer = text;
+        s.reviews = [];
+        s.critiques = [];
+        send("answer", { key, participant: s.id, model: s.p.name, text: s.answer, ...extra });
+        if (verify) {
+          s.grounding = verify(s.answer);
+          send("grounding", { key, participant: s.id, model: s.p.name, ...s.grounding });
+        }
+      }));
+      return list;
+    },
+
+    // pairs: [[reviewer, target]], by default the review schedule. Reviews run
+    // concurrently; results are applied to the targets in pair order.
+    async reviewAll(pairs = schedule.map(([r, t]) => [solvers[r], solvers[t]])) {
+      const results = await settleAll(pairs.map(async ([reviewer, target]) => {
+        const key = `review:${reviewer.id}>${target.id}`;
+        send("step", {
+          key,
+          participant: reviewer.id,
+          target: target.id,
+          model: reviewer.p.name,
+          action: `reviewing ${target.p.name}`,
+        });
+        const { result, method, errors } = await reviewAnswer(reviewer, target);
+        send("review", {
+          key,
+          reviewerId: reviewer.id,
+          reviewedId: target.id,
+          reviewer: reviewer.p.name,
+          reviewed: target.p.name,
+          result,
+          method,
+          validationErrors: errors,
+        });
+        return result;
+      }));
+      pairs.forEach(([reviewer, target], n) => {
+        target.reviews.push(results[n]);
+        target.critiques.push({ reviewer: reviewer.p.name, review: results[n] || defaultReview, answer: reviewer.answer });
+      });
+    },
+
+    // Every answer must reach quorum among its reviewers.
+    verdicts() {
+      const verdicts = solvers.filter((s) => s.answer).map((s) => ({
+        participant: s.id,
+        ...acceptByQuorum(s.reviews, s.raw, quorum, s.grounding),
+        ...(s.grounding && { grounded: s.grounding.ok }),
+      }));
+      send("verdict", { iteration: run.iteration, quorum, verdicts });
+      return verdicts;
+    },
+
+    // Compared with the previous call's answers.
+    similarity() {
+      const currentAnswers = Object.fromEntries(solvers.filter((s) => s.answer).map((s) => [s.id, s.answer]));
+      const similarity = measureConvergence(previousAnswers, currentAnswers, convergence);
+      previousAnswers = currentAnswers;
+      send("similarity", { iteration: run.iteration, ...similarity });
+      return similarity;
+    },
+
+    // Each solver gets its reviewers' critiques and answers.
+    revise(list = solvers) {
+      for (const s of list) {
+        s.msgs.push({ role: "assistant", content: `${s.answer}\nEND_OF_ANSWER` });
+        s.msgs.push({ role: "user", content: makeRevisionPrompt(userQuery, s.p.name, s.critiques, context, s.grounding, prompts) });
+      }
+    },
+  };
+
+  try {
+    return await strategy.run(run);
+  } catch (err) {
+    if (err.budget && !signal?.aborted) {
+      send("status", { message: `Budget exceeded (${err.budget.cap}) — stopping.` });
+      return finishFallback({ reason: "budget_exceeded", budget: err.budget, iteration: run.iteration });
+    }
+    if (!signal?.aborted) {
+      observeRun("error");
+      log.error("run failed", { mode: strategy.id, iterations: run.iteration, ms: Date.now() - startedAt, error: err.message });
+      throw err;
+    }
+    // Cancelled: report the best answer produced so far.
+    const answered = solvers.filter((s) => s.answer);
+    return finish("cancelled", { iteration: run.iteration, reason: String(signal.reason || "cancelled") }, pickBest(answered));
+  }
+}
+
+module.exports = {
+  REVIEW_MAX_TOKENS,
+  clampText,
+  looksTruncated,
+  stripEndToken,
+  ensureEndToken,
+  hasEndToken,
+  endTokenFilter,
+  pickMaxTokensForSolver,
+  makeSolverPrompt,
+  makeReviewPrompt,
+  makeRevisionPrompt,
+  makeSummaryPrompt,
+  makeSynthesisPrompt,
+  makeRebuttalPrompt,
+  makeJudgePrompt,
+  formatCritique,
+  formatGrounding,
+  parseReviewJson,
+  acceptByReview,
+  acceptByQuorum,
+  quorumNeeded,
+  buildReviewSchedule,
+  rankCandidates,
+  pickBest,
+  settleAll,
+  runConsensus,
+};
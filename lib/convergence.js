@@ -0,0 +1,91 @@
+// Convergence between iterations: has each participant stopped changing its
+// answer, and do the participants agree on the claims that matter?
+const MAX_WORDS = 3000;
+
+const STOPWORDS = new Set((
+  "a an and are as at be but by can do for from has have if in into is it its " +
+  "may more most not of on or should so such than that the their then there these " +
+  "they this to use used using was we were what when which will with would you your"
+).split(" "));
+
+function words(text) {
+  return ((text || "").toLowerCase().match(/[a-z0-9_.$%-]+/g) || [])
+    .map((w) => w.replace(/^[.-]+|[.-]+$/g, ""))
+    .filter(Boolean);
+}
+
+// Word-level diff ratio, 2*LCS / (len(a)+len(b)), like difflib's ratio().
+function diffSimilarity(a, b) {
+  const x = words(a).slice(0, MAX_WORDS);
+  const y = words(b).slice(0, MAX_WORDS);
+  if (!x.length && !y.length) return 1;
+  if (!x.length || !y.length) return 0;
+  let prev = new Uint16Array(y.length + 1);
+  let cur = new Uint16Array(y.length + 1);
+  for (let i = 1; i <= x.length; i++) {
+    for (let j = 1; j <= y.length; j++) {
+      cur[j] = x[i - 1] === y[j - 1] ? prev[j - 1] + 1 : Math.max(prev[j], cur[j - 1]);
+    }
+    [prev, cur] = [cur, prev];
+  }
+  return (2 * prev[y.length]) / (x.length + y.length);
+}
+
+// Key claims: numbers, quoted text, names and code identifiers. Answers that
+// have too few of those fall back to their content words.
+function keyClaims(text) {
+  const t = text || "";
+  const claims = new Set();
+  const add = (re, clean = (m) => m) => {
+    for (const m of t.match(re) || []) claims.add(clean(m).trim().toLowerCase());
+  };
+  add(/\d[\d,.]*\s?(%|[a-zA-Z]{1,5}\b)?/g, (m) => m.replace(/,/g, "").replace(/\.$/, ""));
+  add(/"[^"\n]{3,80}"|`[^`\n]{2,80}`/g, (m) => m.slice(1, -1));
+  add(/(?<=[a-z0-9,;:]\s)[A-Z][a-zA-Z0-9]+(?:\s[A-Z][a-zA-Z0-9]+)*/g);
+  add(/\b[a-z]+[A-Z][a-zA-Z0-9]*\b|\b[a-z0-9]+_[a-z0-9_]+\b/g);
+  if (claims.size >= 3) return claims;
+  return new Set(words(t).filter((w) => w.length > 3 && !STOPWORDS.has(w)));
+}
+
+function jaccard(a, b) {
+  if (!a.size && !b.size) return 1;
+  let inter = 0;
+  for (const x of a) if (b.has(x)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+// previous/current: { [participantId]: answerText }. previous is null on the
+// first iteration, when only cross-model agreement can be measured.
+function measureConvergence(previous, current, settings) {
+  const ids = Object.keys(current);
+  const self = {};
+  if (previous) {
+    for (const id of ids) self[id] = round(diffSimilarity(previous[id], current[id]));
+  }
+
+  const claims = Object.fromEntries(ids.map((id) => [id, keyClaims(current[id])]));
+  const agreement = {};
+  for (let i = 0; i < ids.length; i++) {
+    for (let j = i + 1; j < ids.length; j++) {
+      agreement[`${ids[i]}~${ids[j]}`] = round(jaccard(claims[ids[i]], claims[ids[j]]));
+    }
+  }
+
+  const selfScores = Object.values(self);
+  const agreeScores = Object.values(agreement);
+  const minSelf = selfScores.length ? Math.min(...selfScores) : null;
+  const minAgreement = agreeScores.length ? Math.min(...agreeScores) : 0;
+
+  // Stable answers that broadly agree, or answers that agree almost fully.
+  const stable = minSelf !== null && minSelf >= settings.selfThreshold;
+  const converged = !!previous && (
+    (stable && minAgreement >= settings.agreementThreshold) ||
+    minAgreement >= settings.strongAgreementThreshold
+  );
+
+  return { self, agreement, minSelf, minAgreement: round(minAgreement), converged };
+}
+
+module.exports = { STOPWORDS, diffSimilarity, keyClaims, measureConvergence };
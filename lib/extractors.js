@@ -0,0 +1,389 @@
+const path = require("path");
+const { execFile } = require("child_process");
+const pdfParse = require("pdf-parse");
+const mammoth = require("mammoth");
+const JSZip = require("jszip");
+const { DOMParser } = require("@xmldom/xmldom");
+
+// Text extraction by file type. Each extractor takes the file's bytes and
+// resolves with { content, warnings, meta }: the text the models see (tables
+// as markdown), what was lost or guessed on the way, and facts about the file
+// such as its page count or sheet names. Throwing means the file is unreadable.
+const MAX_TABLE_ROWS = 2000;
+const MAX_TABLE_CELLS = 200000;
+const MAX_COLUMNS = 16384; // Excel's last column, XFD
+const MAX_ZIP_ENTRIES = 50;
+const MAX_ZIP_BYTES = 50 * 1024 * 1024;
+const MAX_OFFICE_BYTES = 50 * 1024 * 1024;
+const OCR_TIMEOUT_MS = 60000;
+// Local OCR engine; nothing leaves the machine.
+const TESSERACT = process.env.TESSERACT_PATH || "tesseract";
+
+function parseXml(text) {
+  return new DOMParser({
+    errorHandler: { warning() {}, error() {}, fatalError(msg) { throw new Error(`Invalid XML: ${msg}`); } },
+  }).parseFromString(text, "text/xml");
+}
+
+const byTag = (node, name) => Array.from(node.getElementsByTagNameNS("*", name));
+
+// One ZIP entry's contents, or null once more than `budget` bytes come out.
+// The sizes in the archive's headers are only claims, so the bytes are
+// counted as they are inflated and the stream is stopped at the limit.
+function inflate(file, budget) {
+  return new Promise((resolve, reject) => {
+    const stream = file.internalStream("nodebuffer");
+    const chunks = [];
+    let size = 0;
+    stream
+      .on("data", (chunk) => {
+        if (size > budget) return;
+        size += chunk.length;
+        if (size <= budget) return chunks.push(chunk);
+        stream.pause();
+        resolve(null);
+      })
+      .on("error", reject)
+      .on("end", () => resolve(Buffer.concat(chunks)))
+      .resume();
+  });
+}
+
+const tooLarge = () => new Error(`Larger than ${MAX_OFFICE_BYTES / 1024 / 1024} MB uncompressed.`);
+
+// Office files are ZIPs of XML parts; relationship files map ids to parts.
+// The parts read from one document share MAX_OFFICE_BYTES; past it the file
+// is rejected. checkSize() inflates every part against the same limit, for
+// parsers (mammoth) that read the ZIP themselves.
+async function openOffice(buf) {
+  const zip = await JSZip.loadAsync(buf);
+  let left = MAX_OFFICE_BYTES;
+  const read = async (part) => {
+    const f = zip.file(part);
+    if (!f) return null;
+    const buffer = await inflate(f, left);
+    if (!buffer) throw tooLarge();
+    left -= buffer.length;
+    return parseXml(buffer.toString("utf-8"));
+  };
+  const checkSize = async () => {
+    let total = MAX_OFFICE_BYTES;
+    for (const f of Object.values(zip.files).filter((e) => !e.dir)) {
+      const buffer = await inflate(f, total);
+      if (!buffer) throw tooLarge();
+      total -= buffer.length;
+    }
+  };
+  const rels = async (part) => {
+    const doc = await read(`${path.posix.dirname(part)}/_rels/${path.posix.basename(part)}.rels`);
+    return doc ? byTag(doc, "Relationship").map((r) => ({
+      id: r.getAttribute("Id"),
+      type: r.getAttribute("Type"),
+      part: r.getAttribute("Target").startsWith("/")
+        ? r.getAttribute("Target").slice(1)
+        : path.posix.join(path.posix.dirname(part), r.getAttribute("Target")),
+    })) : [];
+  };
+  return { read, rels, checkSize };
+}
+
+const cell = (s) => String(s).replace(/\|/g, "\\|").replace(/\r?\n/g, " ").trim();
+
+const widthOf = (rows) => rows.reduce((w, r) => Math.max(w, r.length), 0);
+
+// rows: [[string]]; the first row is the header.
+function markdownTable(rows) {
+  const width = widthOf(rows);
+  const line = (r) => `| ${Array.from({ length: width }, (_, i) => cell(r[i] ?? "")).join(" | ")} |`;
+  return [line(rows[0]), `|${" --- |".repeat(width)}`, ...rows.slice(1).map(line)].join("\n");
+}
+
+// At most MAX_TABLE_ROWS rows, and MAX_TABLE_CELLS once padded to the widest.
+// total: the rows there were, when only some of them were converted.
+function limitRows(rows, label, warnings, total = rows.length) {
+  const keep = Math.min(rows.length, MAX_TABLE_ROWS + 1, Math.max(1, Math.floor(MAX_TABLE_CELLS / Math.max(1, widthOf(rows)))));
+  if (keep === total) return rows;
+  warnings.push(`${label}: only the first ${keep - 1} of ${total - 1} rows were kept.`);
+  return rows.slice(0, keep);
+}
+
+async function pdf(buf) {
+  const data = await pdfParse(buf);
+  const warnings = data.text.trim() ? [] : ["No text layer found; a scanned PDF has to be uploaded as images for OCR."];
+  return { content: data.text || "", warnings, meta: { pages: data.numpages, ...(data.info?.Title && { title: data.info.Title }) } };
+}
+
+async function docx(buf) {
+  const office = await openOffice(buf);
+  await office.checkSize();
+  const result = await mammoth.extractRawText({ buffer: buf });
+  // Word saves its own page and word counts in docProps/app.xml.
+  const app = await office.read("docProps/app.xml");
+  const stat = (name) => (app && byTag(app, name)[0] ? Number(byTag(app, name)[0].textContent) : undefined);
+  return {
+    content: result.value || "",
+    warnings: result.messages.filter((m) => m.type === "warning").map((m) => m.message),
+    meta: JSON.parse(JSON.stringify({ pages: stat("Pages"), words: stat("Words") })),
+  };
+}
+
+// 0 for "A1"; -1 for a reference that isn't a column, or one past XFD.
+function columnIndex(ref) {
+  const letters = /^([A-Z]{1,3})\d*$/.exec(ref)?.[1];
+  const i = letters ? [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1 : -1;
+  return i < MAX_COLUMNS ? i : -1;
+}
+
+async function xlsx(buf) {
+  const office = await openOffice(buf);
+  const workbook = await office.read("xl/workbook.xml");
+  if (!workbook) throw new Error("Not an XLSX workbook.");
+  const rels = await office.rels("xl/workbook.xml");
+  const sharedDoc = await office.read("xl/sharedStrings.xml");
+  const shared = sharedDoc ? byTag(sharedDoc, "si").map((si) => byTag(si, "t").map((t) => t.textContent).join("")) : [];
+
+  const warnings = [];
+  const sheets = [];
+  const rowCounts = {};
+  for (const sheet of byTag(workbook, "sheet")) {
+    const name = sheet.getAttribute("name");
+    const rel = rels.find((r) => r.id === sheet.getAttribute("r:id"));
+    const doc = rel && await office.read(rel.part);
+    if (!doc) {
+      warnings.push(`Sheet "${name}" could not be found in the file.`);
+      continue;
+    }
+    if (sheet.getAttribute("state") === "hidden") warnings.push(`Sheet "${name}" is hidden in Excel.`);
+    // Rows are only made dense (padded) while they fit the table limits;
+    // the rest are just counted.
+    let rows = [];
+    let total = 0;
+    let width = 0;
+    let ignored = 0;
+    for (const row of byTag(doc, "row")) {
+      const values = [];
+      for (const c of byTag(row, "c")) {
+        const i = c.getAttribute("r") ? columnIndex(c.getAttribute("r")) : values.length;
+        if (i < 0 || i >= MAX_COLUMNS) {
+          ignored += 1;
+          continue;
+        }
+        const v = byTag(c, "v")[0]?.textContent ?? "";
+        const type = c.getAttribute("t");
+        values[i] = type === "s" ? shared[Number(v)] ?? ""
+          : type === "inlineStr" ? byTag(c, "t").map((t) => t.textContent).join("")
+            : type === "b" ? (v === "1" ? "TRUE" : "FALSE")
+              : v;
+      }
+      if (!values.some((x) => x !== "")) continue;
+      total += 1;
+      width = Math.max(width, values.length);
+      if (rows.length === total - 1 && rows.length <= MAX_TABLE_ROWS && (rows.length + 1) * width <= MAX_TABLE_CELLS) {
+        rows.push(Array.from(values, (x) => x ?? ""));
+      }
+    }
+    if (ignored) warnings.push(`Sheet "${name}": ${ignored} cell(s) with a reference past column XFD were ignored.`);
+    rowCounts[name] = Math.max(0, total - 1);
+    if (!total) warnings.push(`Sheet "${name}" is empty.`);
+    else rows = limitRows(rows, `Sheet "${name}"`, warnings, total);
+    sheets.push({ name, table: rows.length ? markdownTable(rows) : null });
+  }
+  const content = sheets.filter((s) => s.table).map((s) => `## Sheet: ${s.name}\n\n${s.table}`).join("\n\n");
+  return { content, warnings, meta: { sheets: sheets.map((s) => s.name), rows: rowCounts } };
+}
+
+// RFC 4180 fields; the delimiter is whichever of , ; or tab the first line uses most.
+function parseCsv(text) {
+  const first = text.split("\n", 1)[0];
+  const delimiter = [",", ";", "\t"].reduce((a, b) => (first.split(b).length > first.split(a).length ? b : a));
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === "\"" && text[i + 1] === "\"") { field += "\""; i++; }
+      else if (ch === "\"") quoted = false;
+      else field += ch;
+    } else if (ch === "\"" && field === "") quoted = true;
+    else if (ch === delimiter) { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += ch;
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return { rows: rows.filter((r) => r.some((x) => x.trim())), unterminated: quoted };
+}
+
+async function csv(buf) {
+  const { rows, unterminated } = parseCsv(buf.toString("utf-8"));
+  const warnings = unterminated ? ["A quoted field is never closed; the rest of the file was read as one value."] : [];
+  if (!rows.length) return { content: "", warnings, meta: { rows: 0, columns: 0 } };
+  const columns = rows[0].length;
+  const ragged = rows.filter((r) => r.length !== columns).length;
+  if (ragged) warnings.push(`${ragged} row(s) have a different number of columns than the header.`);
+  return { content: markdownTable(limitRows(rows, "Table", warnings)), warnings, meta: { rows: rows.length - 1, columns } };
+}
+
+async function pptx(buf) {
+  const office = await openOffice(buf);
+  const presentation = await office.read("ppt/presentation.xml");
+  if (!presentation) throw new Error("Not a PPTX presentation.");
+  const rels = await office.rels("ppt/presentation.xml");
+  const paragraphs = (doc) => byTag(doc, "p")
+    .map((p) => byTag(p, "t").map((t) => t.textContent).join("").trim())
+    .filter(Boolean);
+
+  const warnings = [];
+  const slides = [];
+  for (const [n, id] of byTag(presentation, "sldId").entries()) {
+    const part = rels.find((r) => r.id === id.getAttribute("r:id"))?.part;
+    const doc = part && await office.read(part);
+    if (!doc) continue;
+    const text = paragraphs(doc);
+    // Speaker notes, minus the slide-number placeholder.
+    const notesPart = (await office.rels(part)).find((r) => r.type.endsWith("/notesSlide"))?.part;
+    const notesDoc = notesPart && await office.read(notesPart);
+    const notes = notesDoc ? paragraphs(notesDoc).filter((p) => !/^\d+$/.test(p)) : [];
+    if (!text.length) warnings.push(`Slide ${n + 1} has no text (images or charts only?).`);
+    slides.push([`## Slide ${n + 1}`, ...text, ...(notes.length ? ["", "Speaker notes:", ...notes] : [])].join("\n"));
+  }
+  return { content: slides.join("\n\n"), warnings, meta: { slides: slides.length } };
+}
+
+const ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ", ndash: "–", mdash: "—", hellip: "…",
+  lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”", laquo: "«", raquo: "»", copy: "©", reg: "®", trade: "™", euro: "€",
+};
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+// Readable text: scripts, styles and markup go; headings, list items, table
+// cells and block boundaries survive as markdown-ish line structure.
+function htmlToText(html) {
+  return decodeEntities(html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|noscript|template|svg|head)\b[\s\S]*?<\/\1\s*>/gi, "")
+    .replace(/<h([1-6])\b[^>]*>/gi, (m, n) => `\n\n${"#".repeat(Number(n))} `)
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<\/(td|th)\s*>/gi, " | ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/?(p|div|section|article|header|footer|main|nav|aside|ul|ol|table|tr|h[1-6]|blockquote|pre|form|figure)\b[^>]*>/gi, "\n")
+    .replace(/<[^>]+>/g, ""))
+    .split("\n")
+    .map((l) => l.replace(/[ \t ]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+async function html(buf) {
+  const source = buf.toString("utf-8");
+  const content = htmlToText(source);
+  const title = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(source)?.[1];
+  const warnings = content.length < 200 && /<script\b/i.test(source)
+    ? ["Little text outside scripts; the page probably builds its content with JavaScript."]
+    : [];
+  return { content, warnings, meta: title ? { title: decodeEntities(title).trim() } : {} };
+}
+
+// Width and height from the PNG IHDR chunk or the first JPEG SOF marker.
+function imageSize(buf) {
+  if (buf.length > 24 && buf.readUInt32BE(0) === 0x89504e47) return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  for (let i = 2; i + 9 < buf.length && buf[i] === 0xff;) {
+    const marker = buf[i + 1];
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buf.readUInt16BE(i + 7), height: buf.readUInt16BE(i + 5) };
+    }
+    i += 2 + buf.readUInt16BE(i + 2);
+  }
+  return {};
+}
+
+function image(buf) {
+  const meta = { ...imageSize(buf), ocr: "tesseract" };
+  return new Promise((resolve) => {
+    const child = execFile(TESSERACT, ["stdin", "stdout"], { timeout: OCR_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err?.code === "ENOENT") {
+        return resolve({ content: "", warnings: ["OCR is not available: install Tesseract or set TESSERACT_PATH."], meta: { ...meta, ocr: null } });
+      }
+      if (err) return resolve({ content: "", warnings: [`OCR failed: ${(stderr || err.message).trim().split("\n")[0]}`], meta });
+      const text = stdout.trim();
+      resolve({ content: text, warnings: text ? [] : ["OCR found no text in the image."], meta });
+    });
+    child.stdin.on("error", () => {});
+    child.stdin.end(buf);
+  });
+}
+
+async function text(buf) {
+  const content = buf.toString("utf-8");
+  const warnings = [];
+  if (content.includes("\u0000")) warnings.push("Looks like a binary file; the text may be garbled.");
+  else if (content.includes("�")) warnings.push("Not valid UTF-8; some characters were replaced.");
+  return { content, warnings, meta: { lines: content.split("\n").length } };
+}
+
+const EXTRACTORS = {
+  ".pdf": pdf,
+  ".docx": docx,
+  ".xlsx": xlsx,
+  ".csv": csv,
+  ".pptx": pptx,
+  ".html": html,
+  ".htm": html,
+  ".png": image,
+  ".jpg": image,
+  ".jpeg": image,
+};
+
+async function extract(buf, name) {
+  const fn = EXTRACTORS[path.extname(name).toLowerCase()] || text;
+  return fn(buf);
+}
+
+// The files inside a ZIP that `allowed(name)` accepts, within MAX_ZIP_ENTRIES
+// files and MAX_ZIP_BYTES uncompressed. Nested archives are not opened.
+// Returns { entries: [{ name, buffer }], warnings, meta }.
+async function expandZip(buf, allowed) {
+  const zip = await JSZip.loadAsync(buf);
+  const files = Object.values(zip.files).filter((f) => !f.dir && !/(^|\/)(__MACOSX|\.)/.test(f.name));
+  const warnings = [];
+  const entries = [];
+  const skipped = [];
+  let total = 0;
+  for (const f of files) {
+    if (!allowed(f.name) || /\.zip$/i.test(f.name)) {
+      skipped.push(f.name);
+      continue;
+    }
+    if (entries.length >= MAX_ZIP_ENTRIES) {
+      warnings.push(`Only the first ${MAX_ZIP_ENTRIES} files were extracted.`);
+      break;
+    }
+    const buffer = await inflate(f, MAX_ZIP_BYTES - total);
+    if (!buffer) {
+      warnings.push(`Stopped at ${MAX_ZIP_BYTES / 1024 / 1024} MB uncompressed.`);
+      break;
+    }
+    total += buffer.length;
+    entries.push({ name: f.name, buffer });
+  }
+  if (skipped.length) warnings.push(`Not extracted (unsupported type or nested archive): ${skipped.join(", ")}`);
+  return { entries, warnings, meta: { entries: files.length, extracted: entries.length } };
+}
+
+module.exports = { MAX_TABLE_ROWS, MAX_ZIP_ENTRIES, extract, expandZip, markdownTable, parseCsv, htmlToText };
@@ -0,0 +1,153 @@
+const path = require("path");
+const fs = require("fs");
+const { clampText } = require("./consensus");
+const { selectExcerpts } = require("./retrieval");
+const { extract, expandZip } = require("./extractors");
+
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+// Parsed text kept per file. Files are no longer sent whole once they outgrow
+// the prompt budget, so this only guards memory and session size.
+const MAX_FILE_CHARS = 2000000;
+const MAX_TOTAL_FILE_CHARS = 60000;
+
+const ALLOWED_EXTENSIONS = [
+  ".txt", ".md", ".csv", ".json", ".log",
+  ".js", ".ts", ".jsx", ".tsx", ".py", ".java", ".cpp", ".c", ".h",
+  ".go", ".rs", ".rb", ".php", ".html", ".css", ".scss", ".sql",
+  ".yaml", ".yml", ".toml", ".xml", ".sh", ".bash",
+  ".htm", ".pdf", ".docx", ".xlsx", ".pptx", ".png", ".jpg", ".jpeg", ".zip",
+];
+
+function isAllowedFile(name) {
+  return ALLOWED_EXTENSIONS.includes(path.extname(name || "").toLowerCase());
+}
+
+// { name, type, content, warnings, meta }; see lib/extractors.js.
+async function parseFileBuffer(buf, originalName) {
+  const { content, warnings, meta } = await extract(buf, originalName);
+  return { name: originalName, type: path.extname(originalName).toLowerCase().slice(1), content, warnings, meta };
+}
+
+const errorEntry = (name, err) => ({ name, type: "error", content: `[Error: ${err.message}]`, error: err.message, warnings: [], meta: {} });
+
+async function parseOne(buf, name) {
+  try {
+    const p = await parseFileBuffer(buf, name);
+    if (p.content.length > MAX_FILE_CHARS) p.truncated = true;
+    p.content = clampText(p.content, MAX_FILE_CHARS, "\n...[FILE TRUNCATED]...");
+    return [p];
+  } catch (err) {
+    return [errorEntry(name, err)];
+  }
+}
+
+// An "archive" entry followed by the ZIP's allowed files, named
+// "archive.zip/inner/path".
+async function parseZip(buf, name) {
+  try {
+    const zip = await expandZip(buf, isAllowedFile);
+    const inner = [];
+    for (const entry of zip.entries) inner.push(...(await parseOne(entry.buffer, `${name}/${entry.name}`)));
+    return [{ name, type: "zip", content: "", archive: true, warnings: zip.warnings, meta: zip.meta }, ...inner];
+  } catch (err) {
+    return [errorEntry(name, err)];
+  }
+}
+
+// files: [{ name, buffer }] or [{ name, path }], optionally with include. A
+// file that fails to parse becomes an "error" entry so the run can still go
+// ahead with the rest. A ZIP is expanded in place; its files inherit its include.
+async function parseFiles(files) {
+  const parsed = [];
+  for (const f of files) {
+    const include = f.include === undefined ? {} : { include: f.include };
+    let entries;
+    try {
+      const buf = f.buffer || fs.readFileSync(f.path);
+      entries = await (path.extname(f.name).toLowerCase() === ".zip" ? parseZip : parseOne)(buf, f.name);
+    } catch (err) {
+      entries = [errorEntry(f.name, err)];
+    }
+    parsed.push(...entries.map((pf) => ({ ...pf, ...include })));
+  }
+  return parsed;
+}
+
+const fileBlock = (pf) => `### File: ${pf.name} (${pf.type})\n\`\`\`\n${pf.content}\n\`\`\``;
+const sectionBlock = (name, n, text) => `[${name} §${n}]\n\`\`\`\n${text}\n\`\`\``;
+const SECTION_OVERHEAD = 60;
+
+// The files as prompt text within maxChars: whole if they all fit, otherwise
+// the sections most relevant to `query`, each headed by its citation (a file
+// with no section that fits is left out). Returns { text, excerpts }, where
+// excerpts is null when the files went in whole, else per file
+// { file, total, sections } as from selectExcerpts.
+function formatFiles(query, parsed, maxChars) {
+  const whole = parsed.map(fileBlock).join("\n\n");
+  if (whole.length <= maxChars) return { text: whole, excerpts: null };
+  const excerpts = selectExcerpts(query, parsed, maxChars, SECTION_OVERHEAD);
+  const text = excerpts
+    .filter(({ sections }) => sections.length)
+    .map(({ file, total, sections }) => {
+      const head = `### File: ${file.name} (${file.type}), ${sections.length} of ${total} sections`;
+      return [head, ...sections.map((s) => sectionBlock(file.name, s.n, s.text))].join("\n\n");
+    })
+    .join("\n\n");
+  return { text, excerpts };
+}
+
+// Pre-flight: what each parsed file contributes to the prompt. A file is
+// skipped when it was excluded (include: false), could not be parsed or has
+// no text; the rest go in whole, or as their most relevant sections when they
+// don't all fit. A ZIP is "expanded": its files have their own entries.
+// Returns { fullQuery, included, report }: the files that reached the prompt,
+// and the "files" event, [{ name, type, chars, status: "included" |
+// "truncated" | "skipped" | "expanded", reason, warnings, meta }].
+function buildQuery(question, parsed) {
+  const report = parsed.map((pf) => ({
+    name: pf.name,
+    type: pf.type,
+    chars: pf.error ? 0 : pf.content.length,
+    status: "included",
+    reason: null,
+    warnings: pf.warnings || [],
+    meta: pf.meta || {},
+  }));
+  const mark = (pf, status, reason) => Object.assign(report[parsed.indexOf(pf)], { status, reason });
+  const truncated = `only the first ${MAX_FILE_CHARS.toLocaleString("en-US")} characters were read`;
+  let included = [];
+  for (const pf of parsed) {
+    if (pf.archive) mark(pf, "expanded", `${pf.meta.extracted} of ${pf.meta.entries} files extracted`);
+    else if (pf.error) mark(pf, "skipped", `Could not be read: ${pf.error}`);
+    else if (pf.include === false) mark(pf, "skipped", "Excluded");
+    else if (!pf.content.trim()) mark(pf, "skipped", "No text found");
+    else {
+      included.push(pf);
+      if (pf.truncated) mark(pf, "truncated", `Too long: ${truncated}`);
+    }
+  }
+  if (!included.length) return { fullQuery: question, included, report };
+
+  const { text, excerpts } = formatFiles(question, included, MAX_TOTAL_FILE_CHARS);
+  for (const { file, total, sections } of excerpts || []) {
+    if (!sections.length) mark(file, "skipped", "No room in the prompt: other files' sections were more relevant");
+    else mark(file, "truncated", `${sections.length} of ${total} sections, the most relevant to the request${file.truncated ? `; ${truncated}` : ""}`);
+  }
+  if (excerpts) included = excerpts.filter((e) => e.sections.length).map((e) => e.file);
+  const header = excerpts
+    ? "--- ATTACHED FILES (the sections most relevant to the request; cite them as [file §n]) ---"
+    : "--- ATTACHED FILES ---";
+  return { fullQuery: `${question}\n\n${header}\n\n${text}\n`, included, report };
+}
+
+module.exports = {
+  MAX_FILE_BYTES,
+  MAX_FILE_CHARS,
+  MAX_TOTAL_FILE_CHARS,
+  ALLOWED_EXTENSIONS,
+  isAllowedFile,
+  parseFileBuffer,
+  parseFiles,
+  formatFiles,
+  buildQuery,
+};
@@ -0,0 +1,182 @@
+// Claim-level grounding. The checkable facts in an answer — numbers, dates,
+// quoted text and names — are looked up in what the models were given (the
+// request, the conversation and the attached files) and labelled supported,
+// unsupported or contradicted, with the excerpt that decided it. This is
+// plain string matching, no model calls; it backs up the reviewers'
+// has_unsupported_claims, which is only their opinion.
+const { tokenize } = require("./retrieval");
+
+const MAX_CLAIMS = 100;
+const MAX_EXCERPT_CHARS = 240;
+const MIN_OVERLAP = 2; // shared words before a differing value counts as a contradiction
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const MONTH = "(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?";
+const DAY = "(\\d{1,2})(?:st|nd|rd|th)?";
+
+// [regex, groups -> { y, m, d }], most specific first.
+const DATE_PATTERNS = [
+  [/\b(\d{4})-(\d{2})-(\d{2})\b/g, (g) => ({ y: +g[1], m: +g[2], d: +g[3] })],
+  [new RegExp(`\\b(${MONTH}) ${DAY}(?:,? (\\d{4}))?\\b`, "g"), (g) => ({ y: g[3] ? +g[3] : null, m: month(g[1]), d: +g[2] })],
+  [new RegExp(`\\b${DAY} (${MONTH})(?:,? (\\d{4}))?\\b`, "g"), (g) => ({ y: g[3] ? +g[3] : null, m: month(g[2]), d: +g[1] })],
+  [new RegExp(`\\b(${MONTH}),? (\\d{4})\\b`, "g"), (g) => ({ y: +g[2], m: month(g[1]), d: null })],
+];
+const NUMBER = /(?<![\w.§-])([$€£]?)(\d[\d,]*(?:\.\d+)?)(?:\s?(%|percent\b|k\b|K\b|bn\b|million\b|billion\b|thousand\b|m\b|M\b))?(?![\w])/g;
+const QUOTE = /["“]([^"”\n]{12,300})["”]/g;
+const NAME = /\b[A-Z][\w'’-]*[a-z][\w'’-]*(?:[ \t]+[A-Z][\w'’-]*[a-z][\w'’-]*)+\b/g;
+const SCALE = { k: 1e3, K: 1e3, thousand: 1e3, m: 1e6, M: 1e6, million: 1e6, bn: 1e9, billion: 1e9 };
+
+// Code, citations, links and the solver's own [ASSUMPTION: ...] markers are
+// not claims.
+const MASKS = [/```[\s\S]*?```/g, /`[^`\n]*`/g, /\[[^\]\n]*§\d+\]/g, /\[ASSUMPTION:[^\]]*\]/gi, /\[ADD METRIC IF TRUE\]/gi, /https?:\/\/\S+/g, /\]\([^)]*\)/g];
+
+function month(name) {
+  return MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+}
+
+const sameNumber = (a, b) => Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a));
+// "March 2024" matches "March 3, 2024"; a missing part matches anything.
+const sameDate = (a, b) => a.m === b.m && (a.d === null || b.d === null || a.d === b.d) && (a.y === null || b.y === null || a.y === b.y);
+
+function findDates(text) {
+  const found = [];
+  for (const [re, parse] of DATE_PATTERNS) {
+    for (const g of text.matchAll(re)) {
+      const span = { start: g.index, end: g.index + g[0].length };
+      if (found.some((f) => span.start < f.end && f.start < span.end)) continue;
+      found.push({ ...span, text: g[0], value: parse(g) });
+    }
+  }
+  return found;
+}
+
+// trivial: also return bare numbers below 10 (counts, list items), which are
+// too common to be worth checking in an answer.
+function findNumbers(text, trivial = true) {
+  const found = [];
+  for (const g of text.matchAll(NUMBER)) {
+    const [, currency, digits, unit] = g;
+    const value = Number(digits.replace(/,/g, "")) * (SCALE[unit] || 1);
+    if (!trivial && !currency && !unit && !digits.includes(".") && value < 10) continue;
+    found.push({ start: g.index, end: g.index + g[0].length, text: g[0], value });
+  }
+  return found;
+}
+
+const normalize = (s) => s.toLowerCase().replace(/[“”"'’]/g, "").replace(/\s+/g, " ").trim();
+const excerptOf = (s) => (s.length > MAX_EXCERPT_CHARS ? `${s.slice(0, MAX_EXCERPT_CHARS)}…` : s);
+
+// sources: [{ name, content }] -> sentences with their words, numbers and dates.
+function indexSources(sources) {
+  const sentences = [];
+  for (const src of sources) {
+    for (const text of (src.content || "").split(/(?<=[.!?])\s+|\n+/)) {
+      if (!text.trim()) continue;
+      const dates = findDates(text);
+      // A year inside a date still backs up the bare number.
+      const numbers = findNumbers(text).filter((n) => !dates.some((d) => n.start < d.end && d.start < n.end))
+        .concat(dates.filter((d) => d.value.y).map((d) => ({ value: d.value.y })));
+      sentences.push({ source: src.name, text: text.trim(), words: new Set(tokenize(text)), numbers, dates });
+    }
+  }
+  const full = sources.map((s) => ({ source: s.name, norm: normalize(s.content || "") }));
+  return { sentences, full };
+}
+
+// The answer's sentence around [start, end), for context words.
+function sentenceAround(text, start, end) {
+  const before = text.slice(0, start).search(/(?:[.!?]\s+|\n)[^.!?\n]*$/);
+  const from = before === -1 ? 0 : before + 1;
+  const after = text.slice(end).search(/[.!?](?:\s|$)|\n/);
+  return text.slice(from, after === -1 ? text.length : end + after + 1);
+}
+
+function extractClaims(answer) {
+  const masked = MASKS.flatMap((re) => [...answer.matchAll(re)].map((m) => ({ start: m.index, end: m.index + m[0].length })));
+  const taken = [...masked];
+  const free = (c) => !taken.some((t) => c.start < t.end && t.start < c.end);
+  const claims = [];
+  const add = (kind, c) => {
+    if (!free(c)) return;
+    taken.push(c);
+    claims.push({ kind, text: c.text, start: c.start, end: c.end, value: c.value });
+  };
+
+  for (const g of answer.matchAll(QUOTE)) {
+    if (g[1].trim().split(/\s+/).length >= 3) add("quote", { start: g.index, end: g.index + g[0].length, text: g[1] });
+  }
+  for (const d of findDates(answer)) add("date", d);
+  for (const n of findNumbers(answer, false)) add("number", n);
+  for (const g of answer.matchAll(NAME)) {
+    // Drop leading function words ("The Acme Group" -> "Acme Group") and
+    // skip headings and labels, where everything is capitalized anyway.
+    const words = g[0].split(/\s+/);
+    let skip = 0;
+    while (skip < words.length && tokenize(words[skip]).length === 0) skip++;
+    if (words.length - skip < 2) continue;
+    const lead = words.slice(0, skip).join(" ");
+    const start = g.index + (skip ? lead.length + 1 : 0);
+    const text = words.slice(skip).join(" ");
+    const line = answer.slice(answer.lastIndexOf("\n", g.index) + 1, answer.indexOf("\n", g.index) === -1 ? undefined : answer.indexOf("\n", g.index));
+    if (line.replace(/[#*_>:|\-\d.\s]+/g, " ").trim() === g[0]) continue;
+    add("name", { start, end: start + text.length, text });
+  }
+  return claims.sort((a, b) => a.start - b.start).slice(0, MAX_CLAIMS);
+}
+
+function checkClaim(claim, answer, index) {
+  if (claim.kind === "quote" || claim.kind === "name") {
+    const needle = normalize(claim.text);
+    const hit = index.full.find((f) => f.norm.includes(needle));
+    if (!hit) return { status: "unsupported", source: null, excerpt: null };
+    const sentence = index.sentences.find((s) => s.source === hit.source && normalize(s.text).includes(needle));
+    return { status: "supported", source: hit.source, excerpt: excerptOf(sentence?.text || claim.text) };
+  }
+
+  const context = new Set(tokenize(sentenceAround(answer, claim.start, claim.end)).filter((w) => !/^\d/.test(w)));
+  const overlap = (s) => [...context].filter((w) => s.words.has(w)).length;
+  const best = (list) => list.reduce((a, b) => (overlap(b) > overlap(a) ? b : a), list[0]);
+  const values = (s) => (claim.kind === "date" ? s.dates : s.numbers);
+  const matches = (v) => (claim.kind === "date" ? sameDate(claim.value, v.value) : sameNumber(claim.value, v.value));
+
+  const supporting = index.sentences.filter((s) => values(s).some(matches));
+  if (supporting.length) {
+    const s = best(supporting);
+    return { status: "supported", source: s.source, excerpt: excerptOf(s.text) };
+  }
+  // The same topic with a different value: a sentence sharing enough words
+  // with the claim's sentence that states another number or date.
+  const rivals = index.sentences.filter((s) => values(s).length && overlap(s) >= MIN_OVERLAP);
+  if (rivals.length) {
+    const s = best(rivals);
+    return { status: "contradicted", source: s.source, excerpt: excerptOf(s.text) };
+  }
+  return { status: "unsupported", source: null, excerpt: null };
+}
+
+// sources: [{ name, content }], indexed once per run. Returns verify(answer):
+// { claims: [{ kind, text, start, end, status, source, excerpt }], supported,
+// unsupported, contradicted, ok }. settings.blockUnsupported: whether an
+// unsupported number, date or quote fails the answer too (a contradicted claim
+// always does; names never do).
+function createVerifier(sources, { blockUnsupported = false } = {}) {
+  const index = indexSources(sources);
+  return (answer) => {
+    const claims = extractClaims(answer || "").map((claim) => {
+      const { value, ...rest } = claim;
+      return { ...rest, ...checkClaim(claim, answer, index) };
+    });
+    const count = (status) => claims.filter((c) => c.status === status).length;
+    const blocking = claims.filter((c) => c.status === "contradicted" ||
+      (blockUnsupported && c.status === "unsupported" && c.kind !== "name"));
+    return {
+      claims,
+      supported: count("supported"),
+      unsupported: count("unsupported"),
+      contradicted: count("contradicted"),
+      ok: blocking.length === 0,
+    };
+  };
+}
+
+module.exports = { extractClaims, createVerifier };
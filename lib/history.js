@@ -0,0 +1,110 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+
+// One JSON-lines file per run: a "run" header with the request parameters,
+// one "event" line per SSE event, and an "end" line once the stream closes.
+const RUNS_DIR = process.env.RUNS_DIR || path.join(__dirname, "..", "data", "runs");
+const OUTCOME_EVENTS = ["consensus", "converged", "fallback", "cancelled", "error"];
+// Deltas are only a live preview of the "answer" event that follows them.
+const SKIPPED_EVENTS = ["answer_delta"];
+
+function runFile(id) {
+  if (!/^[\w-]+$/.test(id || "")) return null;
+  return path.join(RUNS_DIR, `${id}.jsonl`);
+}
+
+function redactor(secrets) {
+  const list = (secrets || []).filter((s) => s && s.length >= 8);
+  return (line) => list.reduce((acc, s) => acc.split(s).join("[REDACTED]"), line);
+}
+
+// secrets: strings (API keys) scrubbed from every line before it hits disk.
+function createRun(meta, secrets) {
+  fs.mkdirSync(RUNS_DIR, { recursive: true });
+  const id = crypto.randomUUID();
+  const file = runFile(id);
+  const redact = redactor(secrets);
+  const started = Date.now();
+  const write = (obj) => fs.appendFileSync(file, redact(JSON.stringify(obj)) + "\n");
+
+  write({ type: "run", id, createdAt: new Date(started).toISOString(), ...meta });
+
+  let ended = false;
+  return {
+    id,
+    record(event, data) {
+      if (ended || SKIPPED_EVENTS.includes(event)) return;
+      write({ type: "event", t: Date.now() - started, event, data });
+    },
+    finish(status) {
+      if (ended) return;
+      ended = true;
+      write({ type: "end", finishedAt: new Date().toISOString(), status });
+    },
+  };
+}
+
+function readLines(file) {
+  return fs
+    .readFileSync(file, "utf-8")
+    .split("\n")
+    .filter(Boolean)
+    .map((l) => { try { return JSON.parse(l); } catch { return null; } })
+    .filter(Boolean);
+}
+
+function summarize(lines) {
+  const header = lines.find((l) => l.type === "run");
+  if (!header) return null;
+  const end = lines.find((l) => l.type === "end");
+  const outcome = [...lines].reverse().find((l) => l.type === "event" && OUTCOME_EVENTS.includes(l.event));
+  return {
+    id: header.id,
+    createdAt: header.createdAt,
+    finishedAt: end?.finishedAt || null,
+    status: end?.status || "running",
+    outcome: outcome?.event || null,
+    question: header.question,
+    mode: header.params?.mode,
+    files: (header.files || []).map((f) => f.name),
+  };
+}
+
+function getRun(id) {
+  const file = runFile(id);
+  if (!file || !fs.existsSync(file)) return null;
+  const lines = readLines(file);
+  const summary = summarize(lines);
+  if (!summary) return null;
+  const header = lines.find((l) => l.type === "run");
+  return {
+    ...summary,
+    user: header.user,
+    params: header.params,
+    events: lines.filter((l) => l.type === "event").map(({ t, event, data }) => ({ t, event, data })),
+  };
+}
+
+// user: only that user's runs; null lists every run (used when login is off).
+function listRuns({ limit = 50, user = null } = {}) {
+  if (!fs.existsSync(RUNS_DIR)) return [];
+  const files = fs
+    .readdirSync(RUNS_DIR)
+    .filter((f) => f.endsWith(".jsonl"))
+    .map((f) => {
+      const full = path.join(RUNS_DIR, f);
+      return { full, mtime: fs.statSync(full).mtimeMs };
+    })
+    .sort((a, b) => b.mtime - a.mtime);
+  const runs = [];
+  for (const { full } of files) {
+    if (runs.length >= limit) break;
+    const lines = readLines(full);
+    const summary = summarize(lines);
+    if (summary && (user === null || lines.find((l) => l.type === "run").user === user)) runs.push(summary);
+  }
+  return runs;
+}
+
+module.exports = { RUNS_DIR, redactor, createRun, getRun, listRuns };
@@ -0,0 +1,279 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const axios = require("axios");
+const { logger } = require("./log");
+
+// Background consensus runs. Each job is one JSON file under JOBS_DIR, rewritten
+// on every state change, so queued (and interrupted) jobs are picked up again
+// when the server restarts. API keys are only ever held in memory.
+const JOBS_DIR = process.env.JOBS_DIR || path.join(__dirname, "..", "data", "jobs");
+const FINAL_STATUSES = ["completed", "failed", "cancelled"];
+
+function signWebhook(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// Webhooks may not reach the server's own network: loopback, private,
+// link-local (cloud metadata), shared and reserved ranges, and IPv6 forms
+// that embed an IPv4 address. Hosts in webhookAllowedHosts skip the check.
+// One list per family: a BlockList also matches IPv4 addresses against
+// IPv4-mapped IPv6 rules.
+const INTERNAL = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12],
+  ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+]) INTERNAL.ipv4.addSubnet(prefix, bits, "ipv4");
+for (const [prefix, bits] of [["::", 127], ["::ffff:0:0", 96], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  INTERNAL.ipv6.addSubnet(prefix, bits, "ipv6");
+}
+const INTERNAL_ERROR = "webhook_url must not point to a loopback, private or link-local address (see WEBHOOK_ALLOWED_HOSTS).";
+
+const isInternal = (address) => {
+  const family = net.isIPv4(address) ? "ipv4" : "ipv6";
+  return INTERNAL[family].check(address, family);
+};
+const allowedHost = (hostname, allowed = []) => allowed.includes(hostname.replace(/^\[|\]$/g, "").toLowerCase());
+
+// Throws unless `raw` is an http(s) URL whose host resolves to public
+// addresses only (or is allowed explicitly).
+async function checkWebhookUrl(raw, allowed = []) {
+  let url;
+  try { url = new URL(raw); } catch {}
+  if (!url || !["http:", "https:"].includes(url.protocol)) throw new Error("webhook_url must be an http(s) URL.");
+  if (allowedHost(url.hostname, allowed)) return;
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  let addresses = [host];
+  if (!net.isIP(host)) {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map((a) => a.address);
+    } catch {
+      throw new Error(`webhook_url host ${host} does not resolve.`);
+    }
+  }
+  if (addresses.some(isInternal)) throw new Error(INTERNAL_ERROR);
+}
+
+// dns.lookup for deliveries: the same check when connecting, so a host can't
+// switch to an internal address after the job was accepted.
+function webhookLookup(allowed) {
+  return (hostname, opts, cb) => {
+    dns.lookup(hostname, { ...opts, all: true }, (err, addresses) => {
+      if (err) return cb(err);
+      if (!allowedHost(hostname, allowed) && addresses.some((a) => isInternal(a.address))) return cb(new Error(INTERNAL_ERROR));
+      cb(null, addresses);
+    });
+  };
+}
+
+// settings: { concurrency, webhookRetries, webhookRetryDelayMs, webhookSecret, webhookAllowedHosts,
+//   keepDays, keepFinished, dir }
+// run(job, keys, { onEvent, signal }) runs the consensus and resolves with the
+// result document; onEvent(event, data) is called for every SSE event.
+function createJobQueue(settings, run) {
+  const dir = settings.dir || JOBS_DIR;
+  const jobs = new Map();
+  const keysById = new Map();
+  const controllers = new Map();
+  const pending = [];
+  let running = 0;
+
+  fs.mkdirSync(dir, { recursive: true });
+  const save = (job) => {
+    const file = path.join(dir, `${job.id}.json`);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(job));
+    fs.renameSync(`${file}.tmp`, file);
+  };
+
+  function publicView(job) {
+    const { request, ...rest } = job;
+    return { ...rest, question: request.question };
+  }
+
+  // A finished job can be pruned while its webhook is still being retried.
+  const saveKept = (job) => jobs.has(job.id) && save(job);
+
+  async function deliverWebhook(job) {
+    const body = JSON.stringify({ event: `job.${job.status}`, job: publicView(job) });
+    const attempts = (settings.webhookRetries ?? 3) + 1;
+    for (let i = 0; i < attempts; i++) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      try {
+        await checkWebhookUrl(job.webhook.url, settings.webhookAllowedHosts);
+        const resp = await axios.post(job.webhook.url, body, {
+          headers: {
+            "Content-Type": "application/json",
+            "X-Consensus-Event": `job.${job.status}`,
+            "X-Consensus-Timestamp": String(timestamp),
+            "X-Consensus-Signature": `sha256=${signWebhook(settings.webhookSecret, timestamp, body)}`,
+          },
+          timeout: 10000,
+          maxRedirects: 0,
+          lookup: webhookLookup(settings.webhookAllowedHosts),
+        });
+        Object.assign(job.webhook, { attempts: i + 1, deliveredAt: new Date().toISOString(), status: resp.status, lastError: null });
+        return saveKept(job);
+      } catch (err) {
+        Object.assign(job.webhook, { attempts: i + 1, status: err.response?.status || null, lastError: err.message });
+        saveKept(job);
+        if (i < attempts - 1) {
+          await new Promise((r) => setTimeout(r, (settings.webhookRetryDelayMs ?? 2000) * Math.pow(4, i)));
+        }
+      }
+    }
+    logger.warn("webhook failed", { jobId: job.id, runId: job.runId, attempts, status: job.webhook.status, error: job.webhook.lastError });
+  }
+
+  // The prompt and the files' text are only needed to run the job; once it is
+  // finished the run history has them.
+  function compact(job) {
+    const { fullQuery, files, ...request } = job.request;
+    job.request = request;
+  }
+
+  // Finished jobs go after keepDays, and past the newest keepFinished.
+  function prune() {
+    const cutoff = Date.now() - (settings.keepDays ?? 30) * 24 * 60 * 60 * 1000;
+    const finished = [...jobs.values()]
+      .filter((job) => FINAL_STATUSES.includes(job.status))
+      .sort((a, b) => (b.finishedAt || b.createdAt).localeCompare(a.finishedAt || a.createdAt));
+    finished.forEach((job, i) => {
+      if (i < (settings.keepFinished ?? 1000) && Date.parse(job.finishedAt || job.createdAt) >= cutoff) return;
+      jobs.delete(job.id);
+      fs.rmSync(path.join(dir, `${job.id}.json`), { force: true });
+    });
+  }
+
+  function finish(job, status, fields) {
+    Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+    keysById.delete(job.id);
+    controllers.delete(job.id);
+    compact(job);
+    save(job);
+    prune();
+    if (job.webhook) deliverWebhook(job);
+  }
+
+  function track(job, event, data) {
+    const p = job.progress;
+    if (event === "run") job.runId = data.id;
+    else if (event === "iteration") p.iteration = data.iteration;
+    else if (event === "step") {
+      p.phase = data.key?.startsWith("review:") ? "reviewing" : "solving";
+      p.lastStep = `${data.model} ${data.action}`;
+    } else if (event === "answer") p.answers += 1;
+    else if (event === "review") p.reviews += 1;
+    else return;
+    // Steps are frequent; the file only needs the coarse position.
+    if (event === "run" || event === "iteration") save(job);
+  }
+
+  async function start(job) {
+    running += 1;
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    Object.assign(job, { status: "running", startedAt: new Date().toISOString() });
+    save(job);
+    try {
+      const result = await run(job, keysById.get(job.id) || {}, {
+        onEvent: (event, data) => track(job, event, data),
+        signal: controller.signal,
+      });
+      finish(job, result.outcome === "cancelled" ? "cancelled" : "completed", { result });
+    } catch (err) {
+      finish(job, controller.signal.aborted ? "cancelled" : "failed", { error: err.message });
+    } finally {
+      running -= 1;
+      pump();
+    }
+  }
+
+  function pump() {
+    while (running < (settings.concurrency || 1) && pending.length) {
+      start(pending.shift());
+    }
+  }
+
+  // Oldest first; a job that was running when the server stopped starts over.
+  const stored = fs.readdirSync(dir).filter((f) => f.endsWith(".json"))
+    .map((f) => { try { return JSON.parse(fs.readFileSync(path.join(dir, f), "utf-8")); } catch { return null; } })
+    .filter(Boolean)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  for (const job of stored) {
+    jobs.set(job.id, job);
+    if (FINAL_STATUSES.includes(job.status)) {
+      if ("fullQuery" in job.request || "files" in job.request) {
+        compact(job);
+        save(job);
+      }
+      continue;
+    }
+    if (job.status === "running") Object.assign(job, { status: "queued", startedAt: null, restarts: (job.restarts || 0) + 1 });
+    save(job);
+    pending.push(job);
+  }
+  prune();
+  setImmediate(pump);
+
+  // user: null matches every job (used when login is off).
+  const visible = (job, user) => job && (user === null || job.request.user === user);
+
+  function get(id, user = null) {
+    const job = jobs.get(id);
+    if (!visible(job, user)) return null;
+    const position = pending.indexOf(job);
+    return { ...publicView(job), position: position === -1 ? null : position + 1 };
+  }
+
+  return {
+    get,
+    // request: { question, fullQuery, files, fileReport, settings, user }; webhook: url or null.
+    enqueue(request, keys, webhook) {
+      const job = {
+        id: crypto.randomUUID(),
+        status: "queued",
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        runId: null,
+        progress: { iteration: 0, maxIterations: request.settings.maxIters, phase: null, lastStep: null, answers: 0, reviews: 0 },
+        webhook: webhook ? { url: webhook, attempts: 0, deliveredAt: null, status: null, lastError: null } : null,
+        request,
+        result: null,
+        error: null,
+      };
+      jobs.set(job.id, job);
+      keysById.set(job.id, keys);
+      save(job);
+      pending.push(job);
+      pump();
+      return get(job.id);
+    },
+    list({ limit = 50, user = null } = {}) {
+      return [...jobs.values()]
+        .filter((job) => visible(job, user))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit)
+        .map(({ request, result, ...job }) => ({ ...job, question: request.question, outcome: result?.outcome || null }));
+    },
+    cancel(id, user = null) {
+      const job = jobs.get(id);
+      if (!visible(job, user) || FINAL_STATUSES.includes(job.status)) return false;
+      const i = pending.indexOf(job);
+      if (i !== -1) {
+        pending.splice(i, 1);
+        finish(job, "cancelled", { error: "cancelled by user" });
+      } else {
+        controllers.get(id)?.abort("cancelled by user");
+      }
+      return true;
+    },
+    get stats() {
+      return { running, queued: pending.length, concurrency: settings.concurrency || 1 };
+    },
+  };
+}
+
+module.exports = { JOBS_DIR, createJobQueue, signWebhook, checkWebhookUrl, webhookLookup };
@@ -0,0 +1,63 @@
+// Structured logs: one JSON object per line with time, level, msg and the
+// logger's bindings (runId, callId …). Prompt and answer contents never reach
+// the log: fields named in CONTENT_FIELDS are replaced by their length, and
+// API keys are scrubbed by value (a child's `secrets`) and by shape.
+// LOG_LEVEL: debug | info (default; silent when NODE_ENV=test) | warn | error | silent.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const CONTENT_FIELDS = new Set([
+  "prompt", "messages", "content", "system", "text", "delta", "answer", "question", "instructions",
+  "rebuttal", "reasons", "issues", "suggestions", "claims", "excerpt", "context", "summary", "raw",
+]);
+const SECRET_PATTERNS = [
+  [/\bsk-[\w-]{8,}/g, "[REDACTED]"],
+  [/(Bearer\s+)[^\s"]+/gi, "$1[REDACTED]"],
+  [/("?x-api-key"?\s*[:=]\s*"?)[^\s",}]+/gi, "$1[REDACTED]"],
+];
+
+const settings = {
+  level: process.env.LOG_LEVEL || (process.env.NODE_ENV === "test" ? "silent" : "info"),
+  write: (line) => process.stdout.write(`${line}\n`),
+};
+
+// { level, write(line) }: where and how much to log (the CLI sends it to stderr).
+function configureLogging(opts) {
+  Object.assign(settings, opts);
+}
+
+// A copy of `value` with content fields replaced by "[N chars]" / "[N items]".
+function redact(value, depth = 0) {
+  if (depth > 6 || value === null || typeof value !== "object") return value;
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (!CONTENT_FIELDS.has(k) || v === null || v === undefined) out[k] = redact(v, depth + 1);
+    else if (typeof v === "string") out[k] = `[${v.length} chars]`;
+    else if (Array.isArray(v)) out[k] = `[${v.length} items]`;
+    else out[k] = "[redacted]";
+  }
+  return out;
+}
+
+function createLogger(bindings = {}, secrets = []) {
+  const known = secrets.filter((s) => typeof s === "string" && s.length >= 8);
+  function emit(level, msg, fields = {}) {
+    if (LEVELS[level] < (LEVELS[settings.level] ?? LEVELS.info)) return;
+    let line = JSON.stringify({ time: new Date().toISOString(), level, msg, ...bindings, ...redact(fields) });
+    for (const s of known) line = line.split(s).join("[REDACTED]");
+    for (const [re, to] of SECRET_PATTERNS) line = line.replace(re, to);
+    settings.write(line);
+  }
+  return {
+    debug: (msg, fields) => emit("debug", msg, fields),
+    info: (msg, fields) => emit("info", msg, fields),
+    warn: (msg, fields) => emit("warn", msg, fields),
+    error: (msg, fields) => emit("error", msg, fields),
+    // More bindings and secrets on top of this logger's.
+    child: (more = {}, moreSecrets = []) => createLogger({ ...bindings, ...more }, [...known, ...moreSecrets]),
+  };
+}
+
+const logger = createLogger();
+
+module.exports = { LEVELS, configureLogging, redact, createLogger, logger };
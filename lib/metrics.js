@@ -0,0 +1,109 @@
+// Prometheus metrics, rendered in the text exposition format by GET /metrics.
+// createRegistry() holds counters, gauges and histograms keyed by their label
+// values; `metrics` is the process-wide registry with the app's instruments.
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 40, 60, 120];
+const RUN_BUCKETS = [1, 5, 10, 30, 60, 120, 300, 600];
+const ITERATION_BUCKETS = [1, 2, 3, 4, 5, 7, 10, 15, 20];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+function labelText(names, values, extra = "") {
+  const pairs = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function createRegistry() {
+  const instruments = [];
+
+  // labels: { name: value }; missing ones are "".
+  function define(type, name, help, labelNames, extra = {}) {
+    const series = new Map();
+    const valuesOf = (labels = {}) => labelNames.map((n) => labels[n] ?? "");
+    const entry = (labels, init) => {
+      const values = valuesOf(labels);
+      const id = JSON.stringify(values);
+      if (!series.has(id)) series.set(id, { values, ...init() });
+      return series.get(id);
+    };
+    const instrument = { type, name, help, labelNames, series, entry, ...extra };
+    instruments.push(instrument);
+    return instrument;
+  }
+
+  return {
+    counter(name, help, labelNames = []) {
+      const c = define("counter", name, help, labelNames);
+      return {
+        inc(labels, n = 1) {
+          c.entry(labels, () => ({ value: 0 })).value += n;
+        },
+      };
+    },
+
+    gauge(name, help, labelNames = []) {
+      const g = define("gauge", name, help, labelNames);
+      return {
+        inc(labels, n = 1) {
+          g.entry(labels, () => ({ value: 0 })).value += n;
+        },
+        dec(labels, n = 1) {
+          g.entry(labels, () => ({ value: 0 })).value -= n;
+        },
+      };
+    },
+
+    histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+      const h = define("histogram", name, help, labelNames, { buckets });
+      return {
+        observe(labels, v) {
+          const s = h.entry(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+          buckets.forEach((b, i) => {
+            if (v <= b) s.counts[i] += 1;
+          });
+          s.sum += v;
+          s.count += 1;
+        },
+      };
+    },
+
+    render() {
+      const lines = [];
+      for (const m of instruments) {
+        lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+        for (const s of m.series.values()) {
+          if (m.type !== "histogram") {
+            lines.push(`${m.name}${labelText(m.labelNames, s.values)} ${s.value}`);
+            continue;
+          }
+          m.buckets.forEach((b, i) => lines.push(`${m.name}_bucket${labelText(m.labelNames, s.values, `le="${b}"`)} ${s.counts[i]}`));
+          lines.push(`${m.name}_bucket${labelText(m.labelNames, s.values, 'le="+Inf"')} ${s.count}`);
+          lines.push(`${m.name}_sum${labelText(m.labelNames, s.values)} ${s.sum}`);
+          lines.push(`${m.name}_count${labelText(m.labelNames, s.values)} ${s.count}`);
+        }
+      }
+      return `${lines.join("\n")}\n`;
+    },
+  };
+}
+
+const registry = createRegistry();
+const CALL = ["provider", "model", "phase"];
+
+const metrics = {
+  registry,
+  // result: ok | retry (failed, tried again) | error (failed for good)
+  modelAttempts: registry.counter("consensus_model_attempts_total", "Model call attempts, by result.", [...CALL, "result"]),
+  modelRetries: registry.counter("consensus_model_retries_total", "Retried model call attempts, by HTTP status.", ["provider", "model", "status"]),
+  modelLatency: registry.histogram("consensus_model_call_duration_seconds", "Latency of successful model call attempts.", CALL),
+  modelTokens: registry.counter("consensus_model_tokens_total", "Tokens reported by the providers.", ["provider", "model", "direction"]),
+  cacheHits: registry.counter("consensus_cache_hits_total", "Model calls answered by the response cache.", ["source"]),
+  // method: native | extracted | repaired | default (no valid review JSON)
+  reviewParses: registry.counter("consensus_review_parses_total", "Reviews by how their JSON was obtained.", ["method"]),
+  runs: registry.counter("consensus_runs_total", "Finished runs, by mode and outcome.", ["mode", "outcome"]),
+  runIterations: registry.histogram("consensus_run_iterations", "Iterations a run took, by mode and outcome.", ["mode", "outcome"], ITERATION_BUCKETS),
+  runDuration: registry.histogram("consensus_run_duration_seconds", "Run wall time, by mode and outcome.", ["mode", "outcome"], RUN_BUCKETS),
+  activeRuns: registry.gauge("consensus_active_runs", "Runs in progress."),
+};
+
+module.exports = { createRegistry, metrics };
@@ -0,0 +1,144 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Prompt templates and presets, loaded from markdown files that start with a
+// small front matter block:
+//
+//   ---
+//   name: solver
+//   version: 2
+//   ---
+//   Today's date is {{today}}. ...
+//
+// {{name}} is replaced by a variable; {{#name}}...{{/name}} is kept only when
+// the variable is non-empty. Values are inserted once and never re-scanned, so
+// a request containing "{{...}}" stays as written. Templates live in
+// prompts/templates, presets (role instructions for a kind of request, such as
+// a code review) in prompts/presets. PROMPTS_DIR can add or override either,
+// file by file.
+const BUILTIN_DIR = path.join(__dirname, "..", "prompts");
+const DEFAULT_PRESET = "default";
+const MAX_INSTRUCTIONS_CHARS = 4000;
+
+// The variables each template may use; anything else fails the load.
+const TEMPLATE_VARS = {
+  system: ["preset", "instructions"],
+  solver: ["today", "role", "request", "context"],
+  review: ["today", "reviewer", "request", "answer", "context", "citations", "instructions"],
+  revision: ["today", "role", "critiques", "request", "context", "otherAnswers"],
+  synthesis: ["today", "role", "request", "context", "answers"],
+  rebuttal: ["today", "role", "round", "request", "context", "otherAnswers"],
+  judge: ["today", "judge", "labels", "request", "context", "answers", "instructions"],
+  summary: ["conversation"],
+};
+
+const TOKEN = /{{#(\w+)}}([\s\S]*?){{\/\1}}|{{(\w+)}}/g;
+
+function render(body, vars) {
+  return body.replace(TOKEN, (_, section, inner, name) =>
+    (section ? (vars[section] ? render(inner, vars) : "") : String(vars[name] ?? "")));
+}
+
+function variablesOf(body) {
+  return [...body.matchAll(/{{[#/]?(\w+)}}/g)].map((m) => m[1]);
+}
+
+// "---\nkey: value\n---\nbody" -> { ...meta, body }. The body keeps its text
+// exactly, minus the file's final newline.
+function parseTemplateFile(text, file) {
+  const m = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/.exec(text);
+  if (!m) throw new Error(`${file}: missing front matter`);
+  const meta = {};
+  for (const line of m[1].split(/\r?\n/)) {
+    const at = line.indexOf(":");
+    if (at > 0) meta[line.slice(0, at).trim()] = line.slice(at + 1).trim();
+  }
+  if (!meta.version) throw new Error(`${file}: missing version`);
+  return { ...meta, id: path.basename(file, ".md"), body: m[2].replace(/\r?\n$/, "") };
+}
+
+// Reads the built-in prompts, then `dirs` over them. Returns
+// { templates: { name: { id, name, version, body } }, presets: { id: { id, name, version, description, body } } }.
+function loadPromptLibrary(dirs = [process.env.PROMPTS_DIR].filter(Boolean)) {
+  const templates = {};
+  const presets = {};
+  for (const dir of [BUILTIN_DIR, ...dirs]) {
+    for (const [kind, into] of [["templates", templates], ["presets", presets]]) {
+      const sub = path.join(dir, kind);
+      if (!fs.existsSync(sub)) continue;
+      for (const f of fs.readdirSync(sub).filter((n) => n.endsWith(".md")).sort()) {
+        const file = path.join(sub, f);
+        const t = parseTemplateFile(fs.readFileSync(file, "utf-8"), file);
+        if (kind === "templates") {
+          const allowed = TEMPLATE_VARS[t.id];
+          if (!allowed) throw new Error(`${file}: unknown template (expected one of ${Object.keys(TEMPLATE_VARS).join(", ")})`);
+          const unknown = variablesOf(t.body).filter((v) => !allowed.includes(v));
+          if (unknown.length) throw new Error(`${file}: unknown variable(s) ${[...new Set(unknown)].join(", ")}`);
+        }
+        into[t.id] = { name: t.id, ...t };
+      }
+    }
+  }
+  const missing = Object.keys(TEMPLATE_VARS).filter((name) => !templates[name]);
+  if (missing.length) throw new Error(`Missing prompt template(s): ${missing.join(", ")}`);
+  if (!presets[DEFAULT_PRESET]) throw new Error(`Missing the "${DEFAULT_PRESET}" prompt preset`);
+  return { templates, presets };
+}
+
+let builtin = null;
+function getPromptLibrary() {
+  if (!builtin) builtin = loadPromptLibrary();
+  return builtin;
+}
+
+function listPresets(library = getPromptLibrary()) {
+  const presets = Object.values(library.presets).sort((a, b) => (b.id === DEFAULT_PRESET) - (a.id === DEFAULT_PRESET));
+  return presets.map(({ id, name, version, description }) => ({ id, name, version, description: description || "" }));
+}
+
+// The prompts for one request: the library's templates, a preset and the
+// request's own instructions. version identifies the preset and the exact
+// template text, e.g. "code-review@1/3f9a2c1d", so runs can be compared across
+// template changes; versions lists each part's declared version.
+function createPrompts(library = getPromptLibrary(), { preset = DEFAULT_PRESET, instructions = "" } = {}) {
+  const p = library.presets[preset || DEFAULT_PRESET];
+  if (!p) throw new Error(`Unknown preset: ${preset}`);
+  const own = String(instructions || "").trim();
+  const names = Object.keys(TEMPLATE_VARS);
+  const hash = crypto.createHash("sha1")
+    .update(JSON.stringify([p.body, ...names.map((n) => library.templates[n].body)]))
+    .digest("hex")
+    .slice(0, 8);
+  const today = () => new Date().toISOString().split("T")[0];
+  const prompts = {
+    preset: p.id,
+    version: `${p.id}@${p.version}/${hash}`,
+    versions: Object.fromEntries([["preset", `${p.id}@${p.version}`], ...names.map((n) => [n, library.templates[n].version])]),
+    // What answers must follow, for reviewers and judges to check.
+    instructions: [p.body, own].filter(Boolean).join("\n\n"),
+    render: (name, vars) => render(library.templates[name].body, { today: today(), ...vars }),
+  };
+  // Sent as the system prompt with every call that writes an answer.
+  prompts.system = prompts.render("system", { preset: p.body, instructions: own }).trim();
+  return prompts;
+}
+
+// The built-in templates with no preset, for callers that don't choose one.
+let fallback = null;
+function defaultPrompts() {
+  if (!fallback) fallback = createPrompts();
+  return fallback;
+}
+
+module.exports = {
+  DEFAULT_PRESET,
+  MAX_INSTRUCTIONS_CHARS,
+  render,
+  parseTemplateFile,
+  loadPromptLibrary,
+  getPromptLibrary,
+  listPresets,
+  createPrompts,
+  defaultPrompts,
+};
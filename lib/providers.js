@@ -0,0 +1,517 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const { StringDecoder } = require("string_decoder");
+const { logger } = require("./log");
+const { metrics } = require("./metrics");
+
+const REQUEST_TIMEOUT_MS = 120000;
+
+function flattenMessages(messages) {
+  return messages
+    .map((m) => `${m.role.toUpperCase()}: ${m.content}`)
+    .join("\n\n");
+}
+
+function extractResponseText(resp) {
+  if (resp?.output_text && String(resp.output_text).trim())
+    return String(resp.output_text);
+  const parts = [];
+  for (const item of resp?.output || []) {
+    if (item.type !== "message") continue;
+    for (const c of item.content || []) {
+      if (c.type === "output_text" && c.text) parts.push(c.text);
+    }
+  }
+  return parts.join("");
+}
+
+// Parses a text/event-stream body into { event, data } records.
+async function* readSse(stream) {
+  const decoder = new StringDecoder("utf8");
+  let buf = "";
+  for await (const chunk of stream) {
+    buf += decoder.write(chunk).replace(/\r\n/g, "\n");
+    let idx;
+    while ((idx = buf.indexOf("\n\n")) !== -1) {
+      const block = buf.slice(0, idx);
+      buf = buf.slice(idx + 2);
+      let event = "message";
+      const data = [];
+      for (const line of block.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data.push(line.slice(5).trimStart());
+      }
+      if (data.length) yield { event, data: data.join("\n") };
+    }
+  }
+}
+
+function parseJson(s) {
+  try { return JSON.parse(s); } catch { return null; }
+}
+
+// Errors that arrive inside a 200 stream; overloads are given a status so
+// callModel's retry logic treats them like their HTTP equivalents.
+function streamError(message, status) {
+  const err = new Error(message || "Stream error");
+  if (status) err.response = { status, headers: {} };
+  return err;
+}
+
+function httpRetryable(err, extraStatuses = []) {
+  const status = err?.response?.status;
+  const is5xx = status >= 500 && status <= 599;
+  return status === 429 || is5xx || extraStatuses.includes(status);
+}
+
+// ===================== ADAPTERS =====================
+// An adapter turns (participant, messages, opts) into one completion:
+// { text, usage: { inputTokens, outputTokens } } (a bare string is accepted too).
+// `keyName` says which request key it needs (null = none); `isRetryable`
+// decides whether callModel should back off and try again. When opts.onDelta
+// is set the adapter streams and reports text chunks as they arrive, but
+// still resolves with the full completion. Adapters with `nativeJson` accept
+// opts.jsonSchema ({ name, schema }) and use the provider's structured-output
+// or tool-calling mode, returning the JSON document as text. opts.system, when
+// set, goes in the provider's own system-prompt slot.
+const adapters = new Map();
+
+function registerAdapter(type, adapter) {
+  if (typeof adapter?.complete !== "function") {
+    throw new Error(`Adapter "${type}" must implement complete()`);
+  }
+  adapters.set(type, { keyName: null, nativeJson: false, isRetryable: httpRetryable, ...adapter });
+}
+
+function getAdapter(type) {
+  const a = adapters.get(type);
+  if (!a) throw new Error(`Unknown provider: ${type}`);
+  return a;
+}
+
+registerAdapter("anthropic", {
+  keyName: "anthropic",
+  defaultEndpoint: "https://api.anthropic.com/v1/messages",
+  nativeJson: true,
+  isRetryable: (err) =>
+    err?.response?.headers?.["x-should-retry"] === "true" || httpRetryable(err, [529]),
+  async complete(p, messages, { system, maxTokens, temperature, isReview, apiKey, onDelta, signal, jsonSchema }) {
+    const payload = { model: p.model, max_tokens: maxTokens, messages };
+    if (system) payload.system = system;
+    if (Number.isFinite(temperature)) payload.temperature = temperature;
+    if (!isReview) payload.stop_sequences = ["END_OF_ANSWER"];
+    if (onDelta) payload.stream = true;
+    // A single forced tool call: its input is the JSON document.
+    if (jsonSchema) {
+      payload.tools = [{ name: jsonSchema.name, input_schema: jsonSchema.schema }];
+      payload.tool_choice = { type: "tool", name: jsonSchema.name };
+    }
+
+    const resp = await axios.post(p.endpoint || this.defaultEndpoint, payload, {
+      headers: {
+        "Content-Type": "application/json",
+        "x-api-key": apiKey,
+        "anthropic-version": "2023-06-01",
+      },
+      timeout: p.timeoutMs || REQUEST_TIMEOUT_MS,
+      responseType: onDelta ? "stream" : "json",
+      signal,
+    });
+    if (!onDelta) {
+      const content = resp.data?.content || [];
+      const tool = content.find((c) => c.type === "tool_use");
+      return {
+        text: tool ? JSON.stringify(tool.input ?? {}) : content.find((c) => c.type === "text")?.text ?? "",
+        usage: {
+          inputTokens: resp.data?.usage?.input_tokens,
+          outputTokens: resp.data?.usage?.output_tokens,
+        },
+      };
+    }
+
+    let text = "";
+    const usage = {};
+    for await (const { data } of readSse(resp.data)) {
+      const ev = parseJson(data);
+      if (ev?.type === "content_block_delta" && ev.delta?.type === "text_delta") {
+        text += ev.delta.text;
+        onDelta(ev.delta.text);
+      } else if (ev?.type === "content_block_delta" && ev.delta?.type === "input_json_delta") {
+        text += ev.delta.partial_json || "";
+      } else if (ev?.type === "message_start") {
+        usage.inputTokens = ev.message?.usage?.input_tokens;
+      } else if (ev?.type === "message_delta") {
+        usage.outputTokens = ev.usage?.output_tokens;
+      } else if (ev?.type === "error") {
+        throw streamError(ev.error?.message, ev.error?.type === "overloaded_error" ? 529 : null);
+      }
+    }
+    return { text, usage };
+  },
+});
+
+registerAdapter("openai-responses", {
+  keyName: "openai",
+  defaultEndpoint: "https://api.openai.com/v1/responses",
+  nativeJson: true,
+  async complete(p, messages, { system, maxTokens, temperature, apiKey, onDelta, signal, jsonSchema }) {
+    const payload = {
+      model: p.model,
+      input: flattenMessages(messages),
+      max_output_tokens: maxTokens,
+      top_p: 1,
+    };
+    if (system) payload.instructions = system;
+    if (Number.isFinite(temperature)) payload.temperature = temperature;
+    if (onDelta) payload.stream = true;
+    if (jsonSchema) {
+      payload.text = {
+        format: { type: "json_schema", name: jsonSchema.name, schema: jsonSchema.schema, strict: true },
+      };
+    }
+
+    const resp = await axios.post(p.endpoint || this.defaultEndpoint, payload, {
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${apiKey}`,
+      },
+      timeout: p.timeoutMs || REQUEST_TIMEOUT_MS,
+      responseType: onDelta ? "stream" : "json",
+      signal,
+    });
+    const usageOf = (r) => ({
+      inputTokens: r?.usage?.input_tokens,
+      outputTokens: r?.usage?.output_tokens,
+    });
+    if (!onDelta) {
+      return { text: extractResponseText(resp.data)?.trim() || "", usage: usageOf(resp.data) };
+    }
+
+    let text = "";
+    let completed = null;
+    for await (const { data } of readSse(resp.data)) {
+      const ev = parseJson(data);
+      if (ev?.type === "response.output_text.delta") {
+        text += ev.delta || "";
+        onDelta(ev.delta || "");
+      } else if (ev?.type === "response.completed" || ev?.type === "response.incomplete") {
+        // Incomplete (e.g. max_output_tokens reached) still carries the text
+        // and usage so far.
+        completed = ev.response;
+      } else if (ev?.type === "response.failed" || ev?.type === "error") {
+        const e = ev.response?.error || ev.error || ev;
+        throw streamError(e?.message, e?.code === "server_error" ? 500 : null);
+      }
+    }
+    return {
+      text: ((completed && extractResponseText(completed)) || text).trim(),
+      usage: usageOf(completed),
+    };
+  },
+});
+
+// Any server speaking /v1/chat/completions: Ollama, vLLM, llama.cpp, LM Studio...
+registerAdapter("openai-chat", {
+  keyName: null,
+  defaultEndpoint: "http://localhost:11434/v1/chat/completions",
+  nativeJson: true,
+  async complete(p, messages, { system, maxTokens, temperature, isReview, apiKey, onDelta, signal, jsonSchema }) {
+    const payload = { model: p.model, messages: system ? [{ role: "system", content: system }, ...messages] : messages, max_tokens: maxTokens };
+    if (Number.isFinite(temperature)) payload.temperature = temperature;
+    if (!isReview) payload.stop = ["END_OF_ANSWER"];
+    // Not every local server implements json_schema; "object" falls back to
+    // plain JSON mode.
+    if (jsonSchema) {
+      payload.response_format = p.jsonMode === "object"
+        ? { type: "json_object" }
+        : { type: "json_schema", json_schema: { name: jsonSchema.name, schema: jsonSchema.schema, strict: true } };
+    }
+    if (onDelta) {
+      payload.stream = true;
+      payload.stream_options = { include_usage: true };
+    }
+
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const resp = await axios.post(p.endpoint || this.defaultEndpoint, payload, {
+      headers,
+      timeout: p.timeoutMs || REQUEST_TIMEOUT_MS,
+      responseType: onDelta ? "stream" : "json",
+      signal,
+    });
+    const usageOf = (u) => ({ inputTokens: u?.prompt_tokens, outputTokens: u?.completion_tokens });
+    if (!onDelta) {
+      return {
+        text: resp.data?.choices?.[0]?.message?.content?.trim() || "",
+        usage: usageOf(resp.data?.usage),
+      };
+    }
+
+    let text = "";
+    let usage = {};
+    for await (const { data } of readSse(resp.data)) {
+      if (data === "[DONE]") break;
+      const chunk = parseJson(data);
+      const delta = chunk?.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onDelta(delta);
+      }
+      if (chunk?.usage) usage = usageOf(chunk.usage);
+    }
+    return { text: text.trim(), usage };
+  },
+});
+
+// Deterministic offline participant: same messages in, same text out.
+registerAdapter("mock", {
+  keyName: null,
+  nativeJson: true,
+  isRetryable: () => false,
+  async complete(p, messages, { isReview, onDelta, signal, jsonSchema }) {
+    if (p.mockDelayMs) await sleep(p.mockDelayMs, signal);
+    const digest = crypto
+      .createHash("sha1")
+      .update(JSON.stringify(messages))
+      .digest("hex")
+      .slice(0, 8);
+    const estimate = (t) => Math.ceil(t.length / 4);
+    const inputTokens = estimate(messages.map((m) => m.content).join("\n"));
+    if (isReview) {
+      if (p.mockReviewText) {
+        return { text: p.mockReviewText, usage: { inputTokens, outputTokens: estimate(p.mockReviewText) } };
+      }
+      // Judge mode asks for a judgment, not a review: the first answer wins.
+      if (jsonSchema?.name === "submit_judgment") {
+        const text = JSON.stringify({
+          winner: "A",
+          ranking: ["A"],
+          reasons: `Mock judgment from ${p.name}.`,
+          confidence: p.mockConfidence ?? 0.8,
+          ...(p.mockJudgment || {}),
+        });
+        return { text, usage: { inputTokens, outputTokens: estimate(text) } };
+      }
+      const text = JSON.stringify({
+        decision: "ACCEPT",
+        is_complete: true,
+        has_unsupported_claims: false,
+        has_contradictions: false,
+        issues: [],
+        suggestions: [],
+        confidence: p.mockConfidence ?? 0.8,
+        ...(p.mockReview || {}),
+      });
+      return { text, usage: { inputTokens, outputTokens: estimate(text) } };
+    }
+    const text = p.mockAnswer || `Mock answer from ${p.name} (${digest}).`;
+    if (onDelta) for (const piece of text.match(/\S+\s*/g) || []) onDelta(piece);
+    return { text, usage: { inputTokens, outputTokens: estimate(text) } };
+  },
+});
+
+// ===================== LIMITERS =====================
+let _pLimitDefault = null;
+const limiters = new Map();
+
+async function getLimiter(p) {
+  if (!_pLimitDefault) {
+    const mod = await import("p-limit");
+    _pLimitDefault = mod.default;
+  }
+  const key = `${p.id}:${p.concurrency || 1}`;
+  if (!limiters.has(key)) limiters.set(key, _pLimitDefault(p.concurrency || 1));
+  return limiters.get(key);
+}
+
+// ===================== CALLS =====================
+function resolveApiKey(p, keys = {}) {
+  if (p.apiKeyEnv && process.env[p.apiKeyEnv]) return process.env[p.apiKeyEnv];
+  const keyName = p.keyName ?? getAdapter(p.provider).keyName;
+  return keyName ? keys[keyName] || "" : "";
+}
+
+function missingKeys(participants, keys) {
+  const missing = [];
+  for (const p of participants) {
+    const keyName = p.keyName ?? getAdapter(p.provider).keyName;
+    if (keyName && !resolveApiKey(p, keys) && !missing.includes(keyName)) missing.push(keyName);
+  }
+  return missing;
+}
+
+// p.jsonMode: "none" turns native JSON off for a participant whose endpoint
+// rejects it; the reply is then extracted from plain text.
+function supportsNativeJson(p) {
+  return getAdapter(p.provider).nativeJson && p.jsonMode !== "none";
+}
+
+function abortError(signal) {
+  const err = new Error(String(signal?.reason || "Run cancelled"));
+  err.name = "AbortError";
+  return err;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError(signal));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(signal));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function retryDelay(err, attempt) {
+  const retryAfter = Number(err?.response?.headers?.["retry-after"]);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return Math.min(30000, retryAfter * 1000);
+  const exp = Math.min(15000, 800 * Math.pow(2, attempt));
+  return exp + Math.floor(Math.random() * 400);
+}
+
+// Resolves with the shared call's text, or rejects as soon as `signal` aborts.
+function joinCall(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) return reject(abortError(signal));
+    const onAbort = () => reject(abortError(signal));
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+// opts.cache (see lib/cache.js): identical calls, same provider, model,
+// endpoint, parameters and messages, are answered from the cache or join one
+// already in flight. Either way no attempt or usage is reported;
+// opts.onCacheHit(source) is told "stored" or "in-flight" instead, and a
+// streaming caller gets the whole text as one delta. opts.cacheRefresh skips
+// both and stores the fresh reply.
+// Every attempt is logged with a call id on opts.logger (a child carrying the
+// run id; see lib/log.js) and counted in lib/metrics.js under opts.trace:
+// { phase, key }.
+async function callModel(p, messages, opts = {}) {
+  const adapter = getAdapter(p.provider);
+  const apiKey = resolveApiKey(p, opts.keys);
+  if ((p.keyName ?? adapter.keyName) && !apiKey) {
+    throw new Error(`${p.name} API key is required. Please enter it in the sidebar.`);
+  }
+  const limit = await getLimiter(p);
+  const trace = { provider: p.provider, model: p.model || p.provider, phase: opts.trace?.phase || "other" };
+  const log = (opts.logger || logger).child({
+    callId: crypto.randomUUID().slice(0, 8), participant: p.id, ...trace, ...(opts.trace?.key && { key: opts.trace.key }),
+  }, [apiKey]);
+  const callOpts = {
+    system: opts.system || undefined,
+    maxTokens: opts.maxTokens || p.maxTokens || 4000,
+    temperature: opts.temperature,
+    isReview: !!opts.isReview,
+    apiKey,
+    signal: opts.signal,
+    jsonSchema: opts.jsonSchema && supportsNativeJson(p) ? opts.jsonSchema : undefined,
+  };
+  const streaming = !!opts.onDelta && p.stream !== false;
+  const cache = opts.cache;
+  const { system, maxTokens, temperature, isReview, jsonSchema } = callOpts;
+  const key = cache?.key({
+    provider: p.provider,
+    model: p.model || null,
+    endpoint: p.endpoint || adapter.defaultEndpoint || null,
+    params: { system, maxTokens, temperature, isReview, jsonSchema },
+    messages,
+  });
+
+  let lastUsage = null;
+  const complete = () => limit(async () => {
+    const maxRetries = p.maxRetries ?? 5;
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      // Calls queued behind the limiter must not start once the run is
+      // cancelled, or when opts.beforeAttempt throws (a spent budget).
+      if (opts.signal?.aborted) throw abortError(opts.signal);
+      if (opts.beforeAttempt) opts.beforeAttempt();
+      const started = Date.now();
+      try {
+        if (opts.onAttempt) opts.onAttempt();
+        // Deltas are tagged with the attempt so consumers can discard a
+        // partial answer when a retry starts over.
+        const onDelta = streaming ? (chunk) => opts.onDelta(chunk, { attempt }) : undefined;
+        const out = await adapter.complete(p, messages, { ...callOpts, onDelta });
+        const { text, usage } = typeof out === "string" ? { text: out, usage: null } : out;
+        const ms = Date.now() - started;
+        metrics.modelAttempts.inc({ ...trace, result: "ok" });
+        metrics.modelLatency.observe(trace, ms / 1000);
+        metrics.modelTokens.inc({ ...trace, direction: "input" }, Number(usage?.inputTokens) || 0);
+        metrics.modelTokens.inc({ ...trace, direction: "output" }, Number(usage?.outputTokens) || 0);
+        log.info("model call", { attempt, ms, chars: (text || "").length, inputTokens: usage?.inputTokens, outputTokens: usage?.outputTokens });
+        if (opts.onUsage) opts.onUsage(usage || {});
+        lastUsage = usage;
+        return text ?? "";
+      } catch (err) {
+        const status = err?.response?.status ?? null;
+        const failure = { attempt, ms: Date.now() - started, status, error: err.message };
+        if (opts.signal?.aborted) {
+          log.info("model call cancelled", failure);
+          throw abortError(opts.signal);
+        }
+        if (!adapter.isRetryable(err) || attempt === maxRetries) {
+          metrics.modelAttempts.inc({ ...trace, result: "error" });
+          log.error("model call failed", failure);
+          throw err;
+        }
+        const waitMs = retryDelay(err, attempt);
+        metrics.modelAttempts.inc({ ...trace, result: "retry" });
+        metrics.modelRetries.inc({ provider: trace.provider, model: trace.model, status: status ?? "none" });
+        log.warn("model call retry", { ...failure, waitMs, maxRetries });
+        await sleep(waitMs, opts.signal);
+      }
+    }
+    return "";
+  });
+
+  if (!cache) return complete();
+  const hit = (source, text) => {
+    metrics.cacheHits.inc({ source });
+    log.info("model call cached", { source, chars: text.length });
+    if (opts.onCacheHit) opts.onCacheHit(source);
+    if (streaming && text) opts.onDelta(text, { attempt: 0 });
+    return text;
+  };
+  if (!opts.cacheRefresh) {
+    const stored = cache.get(key);
+    if (stored) return hit("stored", stored.text);
+    const shared = cache.pending(key);
+    if (shared) {
+      try {
+        return hit("in-flight", await joinCall(shared, opts.signal));
+      } catch (err) {
+        // The other caller failed or was cancelled: make the call ourselves.
+        if (opts.signal?.aborted) throw err;
+      }
+    }
+  }
+  return cache.track(key, complete().then((text) => {
+    // A full disk costs the cache entry, not the answer.
+    try {
+      if (text) cache.set(key, { text, usage: lastUsage });
+    } catch (err) {
+      log.warn("cache write failed", { error: err.message });
+    }
+    return text;
+  }));
+}
+
+module.exports = {
+  registerAdapter,
+  getAdapter,
+  resolveApiKey,
+  missingKeys,
+  supportsNativeJson,
+  callModel,
+  extractResponseText,
+  readSse,
+};
@@ -0,0 +1,278 @@
+const { buildTranscript } = require("./transcript");
+
+// Exportable reports of a stored run (see lib/history.js): the question,
+// attachments, every iteration's answers with what changed since the
+// participant's previous answer, the reviews, and the outcome with its stats.
+// buildReport() is the JSON form; the renderers turn it into Markdown or a
+// standalone HTML page.
+const DIFF_CONTEXT = 2;
+// Longer answers are diffed as "all removed, all added" rather than by LCS.
+const MAX_DIFF_CELLS = 4e6;
+
+// Line diff of two revisions: { added, removed, diff }, where diff has the
+// changed lines ("+ " / "- ") with DIFF_CONTEXT unchanged lines ("  ") around
+// them and "…" for the lines skipped in between.
+function diffLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+  const ops = [];
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    ops.push(...a.map((l) => ["-", l]), ...b.map((l) => ["+", l]));
+  } else {
+    // lcs[i][j]: longest common subsequence of a[i..] and b[j..].
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        ops.push([" ", a[i++]]);
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) ops.push(["-", a[i++]]);
+      else ops.push(["+", b[j++]]);
+    }
+    while (i < a.length) ops.push(["-", a[i++]]);
+    while (j < b.length) ops.push(["+", b[j++]]);
+  }
+  const near = (k) => ops.slice(Math.max(0, k - DIFF_CONTEXT), k + DIFF_CONTEXT + 1).some(([op]) => op !== " ");
+  const lines = [];
+  ops.forEach(([op, line], k) => {
+    if (near(k)) lines.push(`${op} ${line}`);
+    else if (lines.at(-1) !== "…") lines.push("…");
+  });
+  return {
+    added: ops.filter(([op]) => op === "+").length,
+    removed: ops.filter(([op]) => op === "-").length,
+    diff: lines.join("\n"),
+  };
+}
+
+// run: as from history.getRun(). The transcript (see lib/transcript.js) plus
+// the request, timings, and `changes` on every answer that revises an earlier one.
+function buildReport(run) {
+  const transcript = buildTranscript(run.events);
+  const { participants, ...settings } = run.params || {};
+  const previous = {};
+  const iterations = transcript.iterations.map((it) => ({
+    ...it,
+    answers: it.answers.map((a) => {
+      const before = previous[a.participant];
+      previous[a.participant] = a.text;
+      return before === undefined || before === a.text ? a : { ...a, changes: diffLines(before, a.text) };
+    }),
+  }));
+  const duration = run.finishedAt ? (Date.parse(run.finishedAt) - Date.parse(run.createdAt)) / 1000 : null;
+  return {
+    ...transcript,
+    id: run.id,
+    question: run.question || "",
+    status: run.status,
+    createdAt: run.createdAt,
+    finishedAt: run.finishedAt,
+    durationSeconds: duration,
+    settings,
+    iterations,
+  };
+}
+
+// ===================== MARKDOWN =====================
+const quote = (text) => text.split("\n").map((l) => `> ${l}`.trimEnd()).join("\n");
+// A code fence longer than any backtick run inside the text.
+const fence = (text) => "`".repeat(Math.max(3, ...(text.match(/`+/g) || []).map((m) => m.length + 1)));
+const yesNo = (v) => (v === true ? "yes" : v === false ? "no" : "?");
+
+// Label -> value rows for the summary table; missing values are left out.
+function statsRows(r, name) {
+  const u = r.usage;
+  return [
+    ["Run", r.id],
+    ["Started", r.createdAt],
+    ["Status", r.status],
+    ["Outcome", r.outcome && `${r.outcome}${r.reason ? ` (${r.reason})` : ""}`],
+    ["Winner", r.winner && name(r.winner)],
+    ["Mode", r.strategy || r.settings.mode],
+    ["Prompts", r.prompts?.version],
+    ["Iterations", String(r.iterations.length)],
+    ["Calls", String(r.totalCalls)],
+    ["Tokens", u && `${u.inputTokens} in / ${u.outputTokens} out`],
+    ["Cost", u && `$${u.costUsd.toFixed(4)}`],
+    ["Duration", r.durationSeconds !== null && `${r.durationSeconds.toFixed(1)} s`],
+  ].filter(([, v]) => v);
+}
+
+function namer(r) {
+  const names = Object.fromEntries(r.participants.map((p) => [p.id, p.name]));
+  return (id) => names[id] || id;
+}
+
+function reviewTitle(review, name) {
+  const res = review.result;
+  return `${name(review.reviewer)} → ${name(review.reviewed)}: ${res ? `${res.decision} (confidence ${res.confidence})` : "no valid review"}`;
+}
+
+function renderMarkdown(r) {
+  const name = namer(r);
+  const out = ["# Consensus report", "", "## Question", "", quote(r.question || "(files only)"), ""];
+  out.push("| | |", "|---|---|", ...statsRows(r, name).map(([k, v]) => `| ${k} | ${String(v).replace(/\|/g, "\\|")} |`), "");
+  if (r.settings.instructions) out.push("**Instructions**", "", quote(r.settings.instructions), "");
+
+  if (r.files.length) {
+    out.push("## Attachments", "");
+    for (const f of r.files) {
+      out.push(`- **${f.name}** (${f.type}) — ${f.status}${f.reason ? `: ${f.reason}` : ""}`);
+      for (const w of f.warnings || []) out.push(`  - ⚠ ${w}`);
+    }
+    out.push("");
+  }
+
+  out.push("## Final answer", "", r.answer || "_No answer._", "");
+
+  for (const it of r.iterations) {
+    out.push(`## Iteration ${it.iteration}`, "");
+    for (const a of it.answers) {
+      out.push(`### ${name(a.participant)}`, "");
+      if (a.rebuttal) out.push("**Rebuttal**", "", quote(a.rebuttal), "");
+      out.push(a.text, "");
+      if (a.grounding) out.push(`_Claim check: ${a.grounding.supported} supported, ${a.grounding.unsupported} unsupported, ${a.grounding.contradicted} contradicted._`, "");
+      if (a.changes) {
+        out.push(`**Changes since the previous answer** (+${a.changes.added} −${a.changes.removed})`, "", `${fence(a.changes.diff)}diff`, a.changes.diff, fence(a.changes.diff), "");
+      }
+    }
+    if (it.synthesis) {
+      out.push(`### Synthesis by ${name(it.synthesis.participant)}`, "", it.synthesis.text, "");
+      if (it.synthesis.verdict) out.push(`_Merge ${it.synthesis.verdict.accepted ? "accepted" : "rejected"} by reviewers._`, "");
+    }
+    if (it.reviews.length) {
+      out.push("### Reviews", "");
+      for (const rev of it.reviews) {
+        out.push(`#### ${reviewTitle(rev, name)}`, "");
+        const res = rev.result;
+        if (res) {
+          out.push(`- Complete: ${yesNo(res.is_complete)} · Unsupported claims: ${yesNo(res.has_unsupported_claims)} · Contradictions: ${yesNo(res.has_contradictions)}`);
+          for (const issue of res.issues || []) out.push(`- Issue: ${issue}`);
+          for (const s of res.suggestions || []) out.push(`- Suggestion: ${s}`);
+        }
+        for (const e of rev.validationErrors) out.push(`- Validation: ${e}`);
+        out.push("");
+      }
+    }
+    if (it.judgment) {
+      const j = it.judgment;
+      out.push(`### Judgment by ${name(j.judge)}`, "", `Winner: **${j.winner ? name(j.winner) : "none"}** · Ranking: ${j.ranking.map(name).join(", ") || "–"}`, "", j.reasons, "");
+    }
+    if (it.verdicts) {
+      out.push("### Verdicts", "", ...it.verdicts.map((v) => `- ${name(v.participant)}: ${v.accepted ? "accepted" : "not accepted"} (${v.votes}/${v.needed} votes)`), "");
+    }
+    if (it.similarity?.minAgreement != null) {
+      out.push(`_Agreement: ${it.similarity.minAgreement.toFixed(2)}${it.similarity.converged ? " — converged" : ""}_`, "");
+    }
+  }
+  return `${out.join("\n").trim()}\n`;
+}
+
+// ===================== HTML =====================
+const esc = (s) => String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const STYLE = `
+body{font:15px/1.6 system-ui,-apple-system,"Segoe UI",sans-serif;color:#1f2328;background:#f6f8fa;margin:0}
+main{max-width:960px;margin:0 auto;padding:32px 20px}
+h1{margin-top:0}h2{border-bottom:1px solid #d0d7de;padding-bottom:4px;margin-top:36px}
+table{border-collapse:collapse}td{padding:3px 14px 3px 0;vertical-align:top}td:first-child{color:#59636e}
+blockquote{margin:0;padding:8px 14px;border-left:4px solid #d0d7de;background:#fff;white-space:pre-wrap}
+.text{white-space:pre-wrap;background:#fff;border:1px solid #d0d7de;border-radius:6px;padding:12px 14px;overflow-x:auto}
+.final{border-color:#1a7f37;border-width:2px}
+details{margin:14px 0;background:#fff;border:1px solid #d0d7de;border-radius:6px;padding:8px 14px}
+summary{cursor:pointer;font-weight:600}
+.answer{margin:14px 0}.meta{color:#59636e;font-size:13px}
+pre.diff{background:#fff;border:1px solid #d0d7de;border-radius:6px;padding:8px 0;overflow-x:auto;font-size:13px}
+pre.diff span{display:block;padding:0 12px}.add{background:#dafbe1}.del{background:#ffebe9}
+.review{border-left:4px solid #d0d7de;padding:2px 12px;margin:10px 0}.review.ACCEPT{border-color:#1a7f37}.review.REVISE{border-color:#bf8700}
+ul{margin:4px 0;padding-left:22px}`;
+
+function diffHtml(diff) {
+  return diff.split("\n").map((l) => `<span class="${{ "+": "add", "-": "del" }[l[0]] || ""}">${esc(l)}</span>`).join("");
+}
+
+function renderHtml(r) {
+  const name = namer(r);
+  const h = [];
+  h.push(`<h1>Consensus report</h1>`, `<blockquote>${esc(r.question || "(files only)")}</blockquote>`);
+  h.push(`<table>${statsRows(r, name).map(([k, v]) => `<tr><td>${esc(k)}</td><td>${esc(v)}</td></tr>`).join("")}</table>`);
+  if (r.settings.instructions) h.push(`<h3>Instructions</h3><blockquote>${esc(r.settings.instructions)}</blockquote>`);
+
+  if (r.files.length) {
+    h.push(`<h2>Attachments</h2><ul>${r.files.map((f) => `<li><b>${esc(f.name)}</b> (${esc(f.type)}) — ${esc(f.status)}${f.reason ? `: ${esc(f.reason)}` : ""}${
+      f.warnings?.length ? `<ul>${f.warnings.map((w) => `<li>⚠ ${esc(w)}</li>`).join("")}</ul>` : ""}</li>`).join("")}</ul>`);
+  }
+  h.push(`<h2>Final answer</h2><div class="text final">${esc(r.answer || "No answer.")}</div>`);
+
+  h.push(`<h2>Transcript</h2>`);
+  r.iterations.forEach((it, n) => {
+    const body = [];
+    for (const a of it.answers) {
+      body.push(`<div class="answer"><h3>${esc(name(a.participant))}</h3>`);
+      if (a.rebuttal) body.push(`<p class="meta">Rebuttal</p><blockquote>${esc(a.rebuttal)}</blockquote><p class="meta">Answer</p>`);
+      body.push(`<div class="text">${esc(a.text)}</div>`);
+      if (a.grounding) body.push(`<p class="meta">Claim check: ${a.grounding.supported} supported, ${a.grounding.unsupported} unsupported, ${a.grounding.contradicted} contradicted</p>`);
+      if (a.changes) {
+        body.push(`<details><summary>Changes since the previous answer (+${a.changes.added} −${a.changes.removed})</summary><pre class="diff">${diffHtml(a.changes.diff)}</pre></details>`);
+      }
+      body.push(`</div>`);
+    }
+    if (it.synthesis) {
+      const v = it.synthesis.verdict;
+      body.push(`<h3>Synthesis by ${esc(name(it.synthesis.participant))}</h3><div class="text">${esc(it.synthesis.text)}</div>${
+        v ? `<p class="meta">Merge ${v.accepted ? "accepted" : "rejected"} by reviewers.</p>` : ""}`);
+    }
+    if (it.reviews.length) body.push(`<h3>Reviews</h3>`);
+    for (const rev of it.reviews) {
+      const res = rev.result;
+      const items = res ? [
+        `Complete: ${yesNo(res.is_complete)} · Unsupported claims: ${yesNo(res.has_unsupported_claims)} · Contradictions: ${yesNo(res.has_contradictions)}`,
+        ...(res.issues || []).map((i) => `Issue: ${i}`),
+        ...(res.suggestions || []).map((s) => `Suggestion: ${s}`),
+      ] : [];
+      items.push(...rev.validationErrors.map((e) => `Validation: ${e}`));
+      body.push(`<div class="review ${esc(res?.decision || "")}"><b>${esc(reviewTitle(rev, name))}</b><ul>${items.map((i) => `<li>${esc(i)}</li>`).join("")}</ul></div>`);
+    }
+    if (it.judgment) {
+      const j = it.judgment;
+      body.push(`<h3>Judgment by ${esc(name(j.judge))}</h3><p>Winner: <b>${esc(j.winner ? name(j.winner) : "none")}</b> · Ranking: ${esc(j.ranking.map(name).join(", ") || "–")}</p><div class="text">${esc(j.reasons)}</div>`);
+    }
+    if (it.verdicts) {
+      body.push(`<h3>Verdicts</h3><ul>${it.verdicts.map((v) => `<li>${esc(name(v.participant))}: ${v.accepted ? "accepted" : "not accepted"} (${v.votes}/${v.needed} votes)</li>`).join("")}</ul>`);
+    }
+    if (it.similarity?.minAgreement != null) {
+      body.push(`<p class="meta">Agreement: ${it.similarity.minAgreement.toFixed(2)}${it.similarity.converged ? " — converged" : ""}</p>`);
+    }
+    const open = n === r.iterations.length - 1 ? " open" : "";
+    h.push(`<details${open}><summary>Iteration ${it.iteration}</summary>${body.join("")}</details>`);
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Consensus report — ${esc((r.question || r.id).slice(0, 80))}</title>
+<style>${STYLE}</style>
+</head>
+<body><main>
+${h.join("\n")}
+</main></body>
+</html>
+`;
+}
+
+// format -> { ext, type, render(report) }, for GET /api/runs/:id/export.
+const REPORT_FORMATS = {
+  md: { ext: "md", type: "text/markdown; charset=utf-8", render: renderMarkdown },
+  json: { ext: "json", type: "application/json; charset=utf-8", render: (r) => `${JSON.stringify(r, null, 2)}\n` },
+  html: { ext: "html", type: "text/html; charset=utf-8", render: renderHtml },
+};
+
+module.exports = { REPORT_FORMATS, diffLines, buildReport, renderMarkdown, renderHtml };
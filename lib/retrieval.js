@@ -0,0 +1,95 @@
+// Local retrieval over attachments. Files are split into numbered sections
+// (cited as [name §n]) and ranked against the question with BM25, so a long
+// document contributes its relevant parts instead of just its first pages.
+// Everything runs in-process; nothing leaves the server.
+const { STOPWORDS } = require("./convergence");
+
+const CHUNK_CHARS = 1500;
+const MIN_CLIPPED_CHARS = 200;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+function tokenize(text) {
+  return ((text || "").toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [])
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+}
+
+// Paragraphs are packed into sections of up to `size` chars; a paragraph
+// longer than that is split at line breaks, and a line longer than that is cut.
+function chunkText(text, size = CHUNK_CHARS) {
+  const pieces = [];
+  for (const para of (text || "").split(/\n\s*\n/)) {
+    if (para.length <= size) {
+      pieces.push({ text: para, sep: "\n\n" });
+      continue;
+    }
+    for (const line of para.split("\n")) {
+      for (let i = 0; i < Math.max(line.length, 1); i += size) pieces.push({ text: line.slice(i, i + size), sep: "\n" });
+    }
+  }
+  const chunks = [];
+  let current = "";
+  for (const p of pieces) {
+    if (current && current.length + p.sep.length + p.text.length > size) {
+      if (current.trim()) chunks.push(current.trim());
+      current = "";
+    }
+    current += (current ? p.sep : "") + p.text;
+  }
+  if (current.trim()) chunks.push(current.trim());
+  return chunks;
+}
+
+// BM25 score of every text against the query.
+function bm25Scores(texts, query) {
+  const docs = texts.map((t) => {
+    const tf = new Map();
+    const tokens = tokenize(t);
+    for (const w of tokens) tf.set(w, (tf.get(w) || 0) + 1);
+    return { tf, length: tokens.length };
+  });
+  const terms = [...new Set(tokenize(query))];
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1) || 1;
+  const idf = new Map(terms.map((w) => {
+    const df = docs.filter((d) => d.tf.has(w)).length;
+    return [w, Math.log(1 + (docs.length - df + 0.5) / (df + 0.5))];
+  }));
+  return docs.map((d) => terms.reduce((score, w) => {
+    const f = d.tf.get(w) || 0;
+    if (!f) return score;
+    return score + idf.get(w) * (f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + BM25_B * d.length / avgLength));
+  }, 0));
+}
+
+// Picks the sections of `files` most relevant to `query` that fit in
+// maxChars (counting `overhead` per section for its header). Ties, and a
+// query with no matching terms, favour earlier sections, taking files in
+// turn. Returns [{ file, total, sections: [{ n, text }] }] in document order.
+function selectExcerpts(query, files, maxChars, overhead = 0) {
+  const chunks = files.flatMap((file, fi) => chunkText(file.content).map((text, i) => ({ fi, n: i + 1, text })));
+  const scores = bm25Scores(chunks.map((c) => c.text), query);
+  const ranked = chunks
+    .map((c, i) => ({ ...c, score: scores[i] }))
+    .sort((a, b) => b.score - a.score || a.n - b.n || a.fi - b.fi);
+
+  const picked = [];
+  let used = 0;
+  for (const c of ranked) {
+    const cost = c.text.length + overhead;
+    if (used + cost <= maxChars) {
+      picked.push(c);
+      used += cost;
+    } else if (maxChars - used - overhead >= MIN_CLIPPED_CHARS) {
+      // The best section that doesn't fit goes in cut short, and fills the budget.
+      picked.push({ ...c, text: `${c.text.slice(0, maxChars - used - overhead)}…` });
+      used = maxChars;
+    }
+  }
+  return files.map((file, fi) => ({
+    file,
+    total: chunks.filter((c) => c.fi === fi).length,
+    sections: picked.filter((c) => c.fi === fi).sort((a, b) => a.n - b.n).map(({ n, text }) => ({ n, text })),
+  }));
+}
+
+module.exports = { CHUNK_CHARS, tokenize, chunkText, bm25Scores, selectExcerpts };
@@ -0,0 +1,218 @@
+// Reviewer output: the formal schema, a small validator for it, and the
+// extract -> validate -> repair pipeline that turns a completion into a review.
+const REVIEW_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: [
+    "decision", "is_complete", "has_unsupported_claims", "has_contradictions",
+    "issues", "suggestions", "confidence",
+  ],
+  properties: {
+    decision: { type: "string", enum: ["ACCEPT", "REVISE"] },
+    is_complete: { type: "boolean" },
+    has_unsupported_claims: { type: "boolean" },
+    has_contradictions: { type: "boolean" },
+    issues: { type: "array", items: { type: "string" }, maxItems: 10 },
+    suggestions: { type: "array", items: { type: "string" }, maxItems: 10 },
+    confidence: { type: "number", minimum: 0, maximum: 1 },
+  },
+};
+
+// Structured-output modes reject range keywords, so providers get the schema
+// without them; validateReview still enforces the full one.
+function providerSchema(schema = REVIEW_SCHEMA) {
+  const strip = (node) => {
+    if (!node || typeof node !== "object") return node;
+    const { minimum, maximum, maxItems, ...rest } = node;
+    for (const k of Object.keys(rest)) {
+      if (k === "properties") {
+        rest.properties = Object.fromEntries(
+          Object.entries(rest.properties).map(([name, sub]) => [name, strip(sub)]),
+        );
+      } else if (k === "items") rest.items = strip(rest.items);
+    }
+    return rest;
+  };
+  return strip(schema);
+}
+
+function typeOf(v) {
+  if (Array.isArray(v)) return "array";
+  if (v === null) return "null";
+  return typeof v;
+}
+
+// Supports the subset of JSON Schema used above. Returns ["path: problem", ...].
+function validate(value, schema, at = "$") {
+  const errors = [];
+  if (schema.type && typeOf(value) !== schema.type) {
+    return [`${at}: expected ${schema.type}, got ${typeOf(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at}: must be one of ${schema.enum.join(", ")}`);
+  if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: below ${schema.minimum}`);
+  if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: above ${schema.maximum}`);
+  if (schema.type === "array") {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: more than ${schema.maxItems} items`);
+    if (schema.items) value.forEach((v, i) => errors.push(...validate(v, schema.items, `${at}[${i}]`)));
+  }
+  if (schema.type === "object") {
+    for (const k of schema.required || []) {
+      if (!(k in value)) errors.push(`${at}.${k}: missing`);
+    }
+    for (const [k, v] of Object.entries(value)) {
+      const sub = schema.properties?.[k];
+      if (sub) errors.push(...validate(v, sub, `${at}.${k}`));
+      else if (schema.additionalProperties === false) errors.push(`${at}.${k}: unexpected`);
+    }
+  }
+  return errors;
+}
+
+function validateReview(obj) {
+  return validate(obj, REVIEW_SCHEMA);
+}
+
+function safeJsonParse(s) {
+  try { return JSON.parse(s); } catch { return null; }
+}
+
+// First balanced {...} in the text, skipping braces inside strings.
+function firstJsonObject(text) {
+  for (let start = text.indexOf("{"); start !== -1; start = text.indexOf("{", start + 1)) {
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+      const ch = text[i];
+      if (inString) {
+        if (ch === "\\") i++;
+        else if (ch === "\"") inString = false;
+      } else if (ch === "\"") inString = true;
+      else if (ch === "{") depth++;
+      else if (ch === "}" && --depth === 0) {
+        const obj = safeJsonParse(text.slice(start, i + 1));
+        if (obj && typeof obj === "object") return obj;
+        break;
+      }
+    }
+  }
+  return null;
+}
+
+// Bare JSON, then ```json fences, then the first object anywhere in the text.
+function extractJson(text) {
+  const t = String(text || "").trim();
+  const direct = safeJsonParse(t);
+  if (direct && typeof direct === "object" && !Array.isArray(direct)) return direct;
+  for (const m of t.matchAll(/```(?:json|JSON)?\s*\n?([\s\S]*?)```/g)) {
+    const obj = safeJsonParse(m[1].trim()) || firstJsonObject(m[1]);
+    if (obj && !Array.isArray(obj)) return obj;
+  }
+  return firstJsonObject(t);
+}
+
+const DECISION_ALIASES = {
+  ACCEPT: "ACCEPT", ACCEPTED: "ACCEPT", APPROVE: "ACCEPT", APPROVED: "ACCEPT", PASS: "ACCEPT",
+  REVISE: "REVISE", REVISION: "REVISE", REJECT: "REVISE", REJECTED: "REVISE", FAIL: "REVISE",
+};
+
+function toBool(v) {
+  if (typeof v === "boolean") return v;
+  if (typeof v === "number") return v !== 0;
+  const s = String(v ?? "").trim().toLowerCase();
+  if (["true", "yes", "y", "1"].includes(s)) return true;
+  if (["false", "no", "n", "0"].includes(s)) return false;
+  return null;
+}
+
+function toList(v) {
+  if (v === undefined || v === null || v === "") return [];
+  const arr = Array.isArray(v) ? v : [v];
+  return arr.filter((x) => x !== null && x !== undefined && x !== "").slice(0, 10).map(String);
+}
+
+function toConfidence(v) {
+  let n = typeof v === "string" ? parseFloat(v) : Number(v);
+  if (!Number.isFinite(n)) return null;
+  if (typeof v === "string" && v.trim().endsWith("%")) n /= 100;
+  else if (n > 1 && n <= 100) n /= 100;
+  return Math.max(0, Math.min(1, n));
+}
+
+// Field-level repair. Missing flags keep the historical defaults (false);
+// an ACCEPT that contradicts its own flags becomes REVISE.
+function repairReview(obj) {
+  const fixes = [];
+  const bool = (k) => {
+    const b = toBool(obj[k]);
+    if (b === null) {
+      fixes.push(`${k}: ${k in obj ? "unreadable" : "missing"}, defaulted to false`);
+      return false;
+    }
+    if (b !== obj[k]) fixes.push(`${k}: coerced to boolean`);
+    return b;
+  };
+  const out = {
+    is_complete: bool("is_complete"),
+    has_unsupported_claims: bool("has_unsupported_claims"),
+    has_contradictions: bool("has_contradictions"),
+  };
+
+  const rawDecision = String(obj.decision ?? obj.verdict ?? "").trim().toUpperCase();
+  let decision = DECISION_ALIASES[rawDecision];
+  if (!decision) {
+    decision = "REVISE";
+    fixes.push(`decision: ${rawDecision ? `"${rawDecision}" not recognised` : "missing"}, set to REVISE`);
+  } else if (decision !== obj.decision) fixes.push(`decision: normalised "${obj.decision ?? obj.verdict}"`);
+  const flagged = !out.is_complete || out.has_unsupported_claims || out.has_contradictions;
+  if (decision === "ACCEPT" && flagged) {
+    decision = "REVISE";
+    fixes.push("decision: ACCEPT contradicts flags, set to REVISE");
+  }
+
+  for (const k of ["issues", "suggestions"]) {
+    out[k] = toList(obj[k]);
+    const clean = Array.isArray(obj[k]) &&
+      obj[k].length === out[k].length &&
+      obj[k].every((x) => typeof x === "string");
+    if (!clean) fixes.push(`${k}: normalised to a list of strings`);
+  }
+
+  let confidence = toConfidence(obj.confidence);
+  if (confidence === null) {
+    confidence = 0.5;
+    fixes.push("confidence: missing or unreadable, set to 0.5");
+  } else if (confidence !== obj.confidence) fixes.push("confidence: coerced into 0-1");
+
+  return { review: { decision, ...out, confidence }, fixes };
+}
+
+// Returns { review, method, errors }. method is "native" (bare JSON from a
+// provider JSON mode, valid as-is), "extracted" (found in the text, valid
+// as-is), "repaired" or null when no JSON object could be found at all.
+function parseReview(text, { native = false } = {}) {
+  const obj = extractJson(text);
+  if (!obj) return { review: null, method: null, errors: ["no JSON object found"] };
+
+  const errors = validateReview(obj);
+  if (!errors.length) {
+    const bare = safeJsonParse(String(text).trim()) !== null;
+    return { review: { ...obj }, method: native && bare ? "native" : "extracted", errors: [] };
+  }
+  const { review, fixes } = repairReview(obj);
+  return { review, method: "repaired", errors: [...errors, ...fixes] };
+}
+
+// Back-compat helper: the review object, or null.
+function parseReviewJson(text) {
+  return parseReview(text).review;
+}
+
+module.exports = {
+  REVIEW_SCHEMA,
+  providerSchema,
+  validateReview,
+  extractJson,
+  repairReview,
+  parseReview,
+  parseReviewJson,
+};
@@ -0,0 +1,128 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const { clampText } = require("./consensus");
+const { formatFiles } = require("./files");
+const { logger } = require("./log");
+
+// Conversation sessions: the turns so far (question + agreed answer) and the
+// parsed files uploaded along the way, so a follow-up can refer back to them.
+// One JSON file per session under SESSIONS_DIR. Older turns are folded into a
+// running summary once more than `recentTurns` of them have piled up.
+const SESSIONS_DIR = process.env.SESSIONS_DIR || path.join(__dirname, "..", "data", "sessions");
+
+function formatTurn(turn, n, maxAnswerChars = Infinity) {
+  const files = turn.files?.length ? `\nFiles attached: ${turn.files.join(", ")}` : "";
+  return `Turn ${n}\nUser: ${turn.question || "(files only)"}${files}\nAgreed answer:\n${clampText(turn.answer, maxAnswerChars)}`;
+}
+
+// settings: { maxContextChars, recentTurns, dir }
+function createSessionStore(settings) {
+  const dir = settings.dir || SESSIONS_DIR;
+  const file = (id) => (/^[\w-]+$/.test(id || "") ? path.join(dir, `${id}.json`) : null);
+
+  function save(session) {
+    fs.mkdirSync(dir, { recursive: true });
+    session.updatedAt = new Date().toISOString();
+    const f = file(session.id);
+    fs.writeFileSync(`${f}.tmp`, JSON.stringify(session));
+    fs.renameSync(`${f}.tmp`, f);
+  }
+
+  function get(id) {
+    const f = file(id);
+    if (!f || !fs.existsSync(f)) return null;
+    return JSON.parse(fs.readFileSync(f, "utf-8"));
+  }
+
+  return {
+    get,
+    create(user) {
+      const now = new Date().toISOString();
+      const session = { id: crypto.randomUUID(), user, createdAt: now, updatedAt: now, turns: [], files: [], summary: null, summarizedTurns: 0 };
+      save(session);
+      return session;
+    },
+    // user: null lists every session (used when login is off).
+    list(user, { limit = 50 } = {}) {
+      if (!fs.existsSync(dir)) return [];
+      return fs.readdirSync(dir)
+        .filter((f) => f.endsWith(".json"))
+        .map((f) => { try { return JSON.parse(fs.readFileSync(path.join(dir, f), "utf-8")); } catch { return null; } })
+        .filter((s) => s && (user === null || s.user === user))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+        .slice(0, limit)
+        .map((s) => ({ id: s.id, createdAt: s.createdAt, updatedAt: s.updatedAt, title: s.turns[0]?.question || "", turns: s.turns.length }));
+    },
+    remove(id) {
+      const f = file(id);
+      if (!f || !fs.existsSync(f)) return false;
+      fs.unlinkSync(f);
+      return true;
+    },
+
+    // Re-reads the session so concurrent turns don't overwrite each other.
+    // files: parsed files of this turn; a re-upload replaces the older copy.
+    addTurn(id, turn, files = []) {
+      const session = get(id);
+      if (!session) return null;
+      session.turns.push({ ...turn, files: files.map((f) => f.name), at: new Date().toISOString() });
+      const names = new Set(files.map((f) => f.name));
+      session.files = [...session.files.filter((f) => !names.has(f.name)), ...files.map(({ name, type, content }) => ({ name, type, content }))];
+      save(session);
+      return session;
+    },
+
+    // Folds turns older than the last `recentTurns` into session.summary.
+    // summarize(text) returns the new summary; if it fails, the old turns are
+    // kept in clipped form instead. Returns true when anything was folded.
+    async compact(id, summarize) {
+      const session = get(id);
+      const keep = settings.recentTurns ?? 3;
+      const older = session ? session.turns.slice(session.summarizedTurns, Math.max(session.summarizedTurns, session.turns.length - keep)) : [];
+      if (!older.length) return false;
+      const text = [
+        session.summary ? `Summary of earlier turns:\n${session.summary}` : "",
+        ...older.map((t, i) => formatTurn(t, session.summarizedTurns + i + 1)),
+      ].filter(Boolean).join("\n\n");
+      let summary;
+      try {
+        summary = (await summarize(text)).trim();
+      } catch (err) {
+        logger.warn("session summary failed; keeping clipped turns", { session: id, error: err.message });
+      }
+      session.summary = summary || clampText(text, Math.floor((settings.maxContextChars || 24000) / 4));
+      session.summarizedTurns += older.length;
+      save(session);
+      return true;
+    },
+
+    // The "conversation so far" block for the prompts, within maxContextChars:
+    // the summary and recent turns get up to half (answers clipped evenly if
+    // needed), the earlier files get whatever is left — whole, or the
+    // sections most relevant to `query` if they don't fit.
+    buildContext(session, query = "") {
+      const max = settings.maxContextChars || 24000;
+      const recent = session.turns.slice(session.summarizedTurns);
+      if (!recent.length && !session.summary) return "";
+      const summary = session.summary ? `Summary of earlier turns:\n${session.summary}` : "";
+      const render = (cap) => [
+        clampText(summary, Math.floor(max / 4)),
+        ...recent.map((t, i) => formatTurn(t, session.summarizedTurns + i + 1, cap)),
+      ].filter(Boolean).join("\n\n");
+      const turnBudget = session.files.length ? Math.floor(max / 2) : max;
+      let text = render(Infinity);
+      if (text.length > turnBudget) {
+        const fixed = render(0).length;
+        text = render(Math.max(200, Math.floor((turnBudget - fixed) / recent.length)));
+      }
+      if (!session.files.length) return text;
+
+      const files = formatFiles(query, session.files, Math.max(0, max - text.length));
+      const heading = files.excerpts ? "Files from earlier turns (relevant sections; cite them as [file §n]):" : "Files from earlier turns:";
+      return `${text}\n\n${heading}\n\n${files.text}`;
+    },
+  };
+}
+
+module.exports = { SESSIONS_DIR, createSessionStore };
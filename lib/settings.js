@@ -0,0 +1,45 @@
+const { getStrategy } = require("./strategies");
+const { DEFAULT_PRESET, MAX_INSTRUCTIONS_CHARS } = require("./prompts");
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Request options -> engine settings, shared by the server and the CLI.
+// Omitted options fall back to the configured defaults. An unknown mode runs
+// as "robust"; one these participants can't run, an unknown prompt preset or
+// overlong instructions throw badRequest() (status 400).
+function createSettingsResolver({ participants, reviewDefaults, convergenceDefaults, groundingDefaults, promptLibrary }) {
+  return function resolveSettings({ mode, iterations, schedule, ringSize, quorum, convergence, budget = {}, preset, instructions, cache }) {
+    const strategy = getStrategy(mode) || getStrategy("robust");
+    if (participants.length < strategy.minParticipants) {
+      throw badRequest(`${strategy.name} needs at least ${strategy.minParticipants} participants; ${participants.length} are configured.`);
+    }
+    if (preset && !promptLibrary.presets[preset]) throw badRequest(`Unknown preset: ${preset}`);
+    if (String(instructions || "").length > MAX_INSTRUCTIONS_CHARS) {
+      throw badRequest(`Instructions are limited to ${MAX_INSTRUCTIONS_CHARS} characters.`);
+    }
+    const positive = (v) => (Number(v) > 0 ? Number(v) : undefined);
+    const maxIters = Math.min(20, Math.max(1, parseInt(iterations) || 5));
+    return {
+      mode: strategy.id,
+      maxIters: strategy.iterations ? strategy.iterations(maxIters) : maxIters,
+      review: {
+        schedule: ["ring", "all-pairs"].includes(schedule) ? schedule : reviewDefaults.schedule,
+        ringSize: parseInt(ringSize) || reviewDefaults.ringSize,
+        quorum: quorum || reviewDefaults.quorum,
+      },
+      convergence: { ...convergenceDefaults, enabled: convergenceDefaults.enabled && convergence !== false },
+      grounding: groundingDefaults,
+      budget: {
+        maxTokens: positive(budget.maxTokens),
+        maxCostUsd: positive(budget.maxCostUsd),
+        maxSeconds: positive(budget.maxSeconds),
+      },
+      preset: preset || DEFAULT_PRESET,
+      instructions: String(instructions || "").trim(),
+      // false bypasses the response cache for this request (it is still refreshed).
+      useCache: cache !== false,
+    };
+  };
+}
+
+module.exports = { badRequest, createSettingsResolver };
@@ -0,0 +1,37 @@
+const { logger } = require("./log");
+
+// Server-sent events helpers shared by the engine and the routes.
+function openSse(res) {
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  if (res.flushHeaders) res.flushHeaders();
+}
+
+// Events also go to the run's history file when the route attached one, and
+// to the debug log of res.locals.logger (with its run id) without their texts.
+function sendEvent(res, event, data) {
+  res.locals?.run?.record(event, data);
+  (res.locals?.logger || logger).debug("event", { event, data });
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Stands in for a response when the caller wants the events, not a stream:
+// everything sendEvent writes lands in `events` as { event, data }, and is
+// passed to onEvent(event, data) as it arrives.
+function createEventCollector(onEvent) {
+  const events = [];
+  return {
+    locals: {},
+    events,
+    write(chunk) {
+      const m = /^event: (.*)\ndata: (.*)\n\n$/s.exec(chunk);
+      if (!m) return;
+      const entry = { event: m[1], data: JSON.parse(m[2]) };
+      events.push(entry);
+      onEvent?.(entry.event, entry.data);
+    },
+  };
+}
+
+module.exports = { openSse, sendEvent, createEventCollector };
@@ -0,0 +1,263 @@
+// Consensus strategies, selected per request by `mode`. A strategy is
+// { id, name, description, minParticipants, iterations?(maxIters), run(run) }:
+// run drives one request through the engine context built by runConsensus
+// (solveAll, reviewAll, verdicts, similarity, revise, generate, emit, prompts,
+// ...) and resolves with run.finish(...) or run.fallback(...). iterations maps
+// the requested maximum to the strategy's own, for strategies with a fixed
+// shape. Prompts are built with run.prompts, the request's prompt set.
+const {
+  REVIEW_MAX_TOKENS,
+  acceptByQuorum,
+  pickBest,
+  makeRevisionPrompt,
+  makeSynthesisPrompt,
+  makeRebuttalPrompt,
+  makeJudgePrompt,
+} = require("./consensus");
+const { extractJson, providerSchema } = require("./review");
+const { supportsNativeJson } = require("./providers");
+
+const STRATEGIES = new Map();
+
+function registerStrategy(strategy) {
+  if (!strategy?.id || typeof strategy.run !== "function") throw new Error("A strategy needs an id and a run function.");
+  STRATEGIES.set(strategy.id, { minParticipants: 1, ...strategy });
+}
+
+function getStrategy(id) {
+  return STRATEGIES.get(String(id || "").toLowerCase()) || null;
+}
+
+// For the UI and /api/strategies: which strategies these participants can
+// run, and which always run a single iteration.
+function listStrategies(participants) {
+  return [...STRATEGIES.values()].map(({ id, name, description, minParticipants, iterations }) => ({
+    id,
+    name,
+    description,
+    minParticipants,
+    singleIteration: iterations?.(20) === 1,
+    available: participants.length >= minParticipants,
+  }));
+}
+
+// Solve, review and revise until every answer reaches quorum, the answers stop
+// changing, or the iterations run out. Returns { outcome: "consensus" |
+// "converged" | null, verdicts, similarity }.
+async function iterate(run) {
+  for (let iter = 1; iter <= run.maxIters; iter++) {
+    run.startIteration(iter);
+    await run.solveAll();
+    await run.reviewAll();
+    const verdicts = run.verdicts();
+    const similarity = run.similarity();
+    if (verdicts.every((v) => v.accepted)) return { outcome: "consensus", verdicts };
+    if (run.convergence.enabled && similarity.converged) return { outcome: "converged", verdicts, similarity };
+    run.emit("status", { message: `Iteration ${iter}: No consensus. All revising...` });
+    run.revise();
+  }
+  return { outcome: null };
+}
+
+registerStrategy({
+  id: "robust",
+  name: "Robust",
+  description: "Consensus loop: solve, cross-review and revise until every answer is accepted.",
+  async run(run) {
+    const { outcome, similarity } = await iterate(run);
+    if (!outcome) return run.fallback({ reason: "max_iterations" });
+    return run.finish(outcome, { iteration: run.iteration, ...(similarity && { similarity }) }, pickBest(run.solvers));
+  },
+});
+
+registerStrategy({
+  id: "fast",
+  name: "Fast",
+  description: "One round: solve and cross-review once, then take the best-reviewed answer.",
+  iterations: () => 1,
+  async run(run) {
+    run.startIteration(1);
+    await run.solveAll();
+    await run.reviewAll();
+    return run.finish("consensus", { iteration: 1 }, pickBest(run.solvers));
+  },
+});
+
+// ===================== SYNTHESIS =====================
+const SYNTHESIS_ATTEMPTS = 2;
+
+// The best-ranked author merges the accepted answers; everyone else reviews
+// the result, with one revision if it misses quorum. Returns the merged
+// answer as a candidate ({ id: "synthesis", ... }) or null if it was rejected.
+async function synthesize(run, accepted) {
+  const author = pickBest(accepted);
+  const target = {
+    id: "synthesis",
+    p: { name: `Synthesis by ${author.p.name}` },
+    msgs: [{ role: "user", content: makeSynthesisPrompt(run.userQuery, author.p.name, accepted.map((s) => ({ name: s.p.name, answer: s.answer })), run.context, run.prompts) }],
+    raw: "",
+    answer: "",
+    grounding: null,
+    reviews: [],
+    critiques: [],
+  };
+  const reviewers = run.solvers.filter((s) => s !== author && s.answer);
+  for (let attempt = 1; attempt <= SYNTHESIS_ATTEMPTS; attempt++) {
+    const key = `synthesis:${author.id}`;
+    const { raw, answer } = await run.generate(author.p, target.msgs, { key, participant: author.id, action: "merging the accepted answers", phase: "synthesis" });
+    Object.assign(target, { raw, answer, grounding: run.verify(answer), reviews: [], critiques: [] });
+    run.emit("synthesis", {
+      key, attempt, participant: author.id, model: author.p.name, from: accepted.map((s) => s.id), text: answer,
+      ...(target.grounding && { grounding: target.grounding }),
+    });
+    await run.reviewAll(reviewers.map((r) => [r, target]));
+    const verdict = acceptByQuorum(target.reviews, target.raw, run.quorum, target.grounding);
+    run.emit("synthesis_verdict", { attempt, ...verdict, ...(target.grounding && { grounded: target.grounding.ok }) });
+    if (verdict.accepted) return target;
+    target.msgs.push({ role: "assistant", content: `${answer}\nEND_OF_ANSWER` });
+    target.msgs.push({ role: "user", content: makeRevisionPrompt(run.userQuery, author.p.name, target.critiques, run.context, target.grounding, run.prompts) });
+  }
+  return null;
+}
+
+registerStrategy({
+  id: "synthesis",
+  name: "Synthesis",
+  description: "Consensus loop, then the accepted answers are merged into one and the merge is re-reviewed.",
+  minParticipants: 2,
+  async run(run) {
+    const { outcome, verdicts, similarity } = await iterate(run);
+    if (!outcome) return run.fallback({ reason: "max_iterations" });
+    const data = { iteration: run.iteration, ...(similarity && { similarity }) };
+    const accepted = run.solvers.filter((s) => verdicts.find((v) => v.participant === s.id)?.accepted);
+    if (accepted.length < 2) return run.finish(outcome, data, pickBest(run.solvers));
+    run.emit("status", { message: `Merging ${accepted.length} accepted answers...` });
+    const merged = await synthesize(run, accepted);
+    // A rejected merge leaves the best of the accepted answers.
+    return run.finish(outcome, { ...data, synthesized: !!merged }, merged || pickBest(accepted));
+  },
+});
+
+// ===================== DEBATE =====================
+// The rebuttal prompt asks for "REBUTTAL:" then "ANSWER:"; without the
+// markers the whole reply is the answer.
+function splitRebuttal(text) {
+  const marker = /^[#*\s]*ANSWER:?[*\s]*$/gm;
+  const last = [...text.matchAll(marker)].at(-1);
+  if (!last) return { answer: text, rebuttal: "" };
+  return {
+    answer: text.slice(last.index + last[0].length).trim(),
+    rebuttal: text.slice(0, last.index).replace(/^[#*\s]*REBUTTAL:?[*\s]*/, "").trim(),
+  };
+}
+
+registerStrategy({
+  id: "debate",
+  name: "Debate",
+  description: "Opening answers, then rebuttal rounds on each other's answers; cross-reviewed at the end.",
+  minParticipants: 2,
+  // The opening plus at least one rebuttal round.
+  iterations: (maxIters) => Math.max(2, maxIters),
+  async run(run) {
+    let similarity = null;
+    for (let round = 0; round < run.maxIters; round++) {
+      run.startIteration(round + 1);
+      run.emit("debate_round", { round, stage: round === 0 ? "opening" : "rebuttal" });
+      if (round > 0) {
+        for (const s of run.solvers) {
+          const others = run.solvers.filter((o) => o !== s).map((o) => ({ name: o.p.name, answer: o.answer }));
+          s.msgs.push({ role: "assistant", content: `${s.answer}\nEND_OF_ANSWER` });
+          s.msgs.push({ role: "user", content: makeRebuttalPrompt(run.userQuery, s.p.name, others, round, run.context, run.prompts) });
+        }
+      }
+      await run.solveAll(run.solvers, round > 0 ? { split: splitRebuttal } : {});
+      similarity = run.similarity();
+      if (round > 0 && run.convergence.enabled && similarity.converged) break;
+    }
+    await run.reviewAll();
+    const verdicts = run.verdicts();
+    if (verdicts.every((v) => v.accepted)) return run.finish("consensus", { iteration: run.iteration }, pickBest(run.solvers));
+    if (run.convergence.enabled && similarity.converged) {
+      return run.finish("converged", { iteration: run.iteration, similarity }, pickBest(run.solvers));
+    }
+    return run.fallback({ reason: "max_iterations" });
+  },
+});
+
+// ===================== JUDGE =====================
+const JUDGE_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["winner", "ranking", "reasons", "confidence"],
+  properties: {
+    winner: { type: "string" },
+    ranking: { type: "array", items: { type: "string" } },
+    reasons: { type: "string" },
+    confidence: { type: "number" },
+  },
+};
+
+// { winner, ranking, reasons, confidence } with labels checked, or null.
+function parseJudgment(text, labels) {
+  const obj = extractJson(text);
+  const label = (v) => String(v ?? "").trim().replace(/^answer\s+/i, "").toUpperCase();
+  if (!obj || !labels.includes(label(obj.winner))) return null;
+  const winner = label(obj.winner);
+  const ranked = (Array.isArray(obj.ranking) ? obj.ranking.map(label) : []).filter((l) => labels.includes(l));
+  const ranking = [...new Set([winner, ...ranked, ...labels])];
+  const confidence = Number(obj.confidence);
+  return {
+    winner,
+    ranking,
+    reasons: typeof obj.reasons === "string" ? obj.reasons : "",
+    confidence: confidence >= 0 && confidence <= 1 ? confidence : null,
+  };
+}
+
+registerStrategy({
+  id: "judge",
+  name: "Judge",
+  description: "Every participant but the last answers; the last one, which wrote none of them, picks the best.",
+  minParticipants: 3,
+  iterations: () => 1,
+  async run(run) {
+    const judge = run.solvers.at(-1);
+    const contestants = run.solvers.slice(0, -1);
+    run.startIteration(1);
+    await run.solveAll(contestants);
+
+    // Anonymized, so the judge can't favour a model by name.
+    const labels = contestants.map((_, i) => String.fromCharCode(65 + i));
+    const prompt = makeJudgePrompt(run.userQuery, `${judge.p.name} (judge)`,
+      contestants.map((s, i) => ({ label: labels[i], answer: s.answer, grounding: s.grounding })), run.context, run.prompts);
+    const native = supportsNativeJson(judge.p);
+    const key = `judge:${judge.id}`;
+    run.emit("step", { key, participant: judge.id, model: judge.p.name, action: "judging" });
+    let judgment = null;
+    for (const content of [prompt, `Return ONLY valid JSON.\n\n${prompt}`]) {
+      judgment = parseJudgment(await run.call(judge.p, [{ role: "user", content }], {
+        maxTokens: REVIEW_MAX_TOKENS,
+        temperature: judge.p.reviewTemperature,
+        isReview: true,
+        jsonSchema: native ? { name: "submit_judgment", schema: providerSchema(JUDGE_SCHEMA) } : undefined,
+        phase: content === prompt ? "judge" : "judge-retry",
+        key,
+      }), labels);
+      if (judgment) break;
+    }
+    const byLabel = (l) => contestants[labels.indexOf(l)];
+    run.emit("judgment", {
+      key,
+      judge: judge.id,
+      model: judge.p.name,
+      labels: Object.fromEntries(labels.map((l, i) => [l, contestants[i].id])),
+      ...(judgment
+        ? { winner: byLabel(judgment.winner).id, ranking: judgment.ranking.map((l) => byLabel(l).id), reasons: judgment.reasons, confidence: judgment.confidence }
+        : { winner: null, ranking: [], reasons: "No valid judgment came back.", confidence: null }),
+    });
+    if (!judgment) return run.fallback({ reason: "judge_failed", iteration: 1 });
+    return run.finish("consensus", { iteration: 1, judge: judge.id }, byLabel(judgment.winner));
+  },
+});
+
+module.exports = { registerStrategy, getStrategy, listStrategies, splitRebuttal, parseJudgment };
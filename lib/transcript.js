@@ -0,0 +1,106 @@
+// Folds a run's events (live or from history) into one JSON result: the
+// outcome, the final answer and a per-iteration transcript.
+const OUTCOME_EVENTS = ["consensus", "converged", "fallback", "cancelled", "error"];
+
+// A fallback forced by a budget cap is reported as its own outcome.
+function outcomeOf(event, data) {
+  if (!OUTCOME_EVENTS.includes(event)) return null;
+  return event === "fallback" && data?.reason === "budget_exceeded" ? "budget" : event;
+}
+
+function buildTranscript(events) {
+  const result = {
+    id: null,
+    outcome: null,
+    reason: null,
+    answer: "",
+    winner: null,
+    strategy: null,
+    prompts: null,
+    grounding: null,
+    files: [],
+    participants: [],
+    iterations: [],
+    totalCalls: 0,
+    usage: null,
+  };
+  let current = null;
+
+  for (const { event, data } of events) {
+    switch (event) {
+      case "run":
+        result.id = data.id;
+        break;
+      case "files":
+        result.files = data.files;
+        break;
+      case "participants":
+        result.participants = data.participants;
+        result.strategy = data.strategy || null;
+        result.prompts = data.prompts || null;
+        break;
+      case "iteration":
+        current = { iteration: data.iteration, answers: [], reviews: [], verdicts: null, similarity: null };
+        result.iterations.push(current);
+        break;
+      case "answer":
+        current?.answers.push({ participant: data.participant, text: data.text, ...(data.rebuttal !== undefined && { rebuttal: data.rebuttal }) });
+        break;
+      case "synthesis":
+        if (current) {
+          current.synthesis = {
+            participant: data.participant, from: data.from, attempt: data.attempt, text: data.text, grounding: data.grounding || null, verdict: null,
+          };
+        }
+        break;
+      case "synthesis_verdict":
+        if (current?.synthesis) {
+          const { attempt, promptVersion, ...verdict } = data;
+          current.synthesis.verdict = verdict;
+        }
+        break;
+      case "judgment": {
+        const { key, model, promptVersion, ...judgment } = data;
+        if (current) current.judgment = judgment;
+        break;
+      }
+      case "grounding": {
+        const answer = current?.answers.findLast((a) => a.participant === data.participant);
+        if (answer) answer.grounding = { claims: data.claims, supported: data.supported, unsupported: data.unsupported, contradicted: data.contradicted, ok: data.ok };
+        break;
+      }
+      case "review":
+        current?.reviews.push({
+          reviewer: data.reviewerId,
+          reviewed: data.reviewedId,
+          method: data.method || null,
+          result: data.result,
+          validationErrors: data.validationErrors || [],
+        });
+        break;
+      case "verdict":
+        if (current) current.verdicts = data.verdicts;
+        break;
+      case "similarity":
+        if (current) {
+          const { iteration, promptVersion, ...similarity } = data;
+          current.similarity = similarity;
+        }
+        break;
+      default: {
+        const outcome = outcomeOf(event, data);
+        if (!outcome) break;
+        result.outcome = outcome;
+        result.reason = data.reason || (event === "error" ? data.message : null);
+        result.answer = data.answer || "";
+        result.winner = data.winner || null;
+        result.grounding = data.grounding || null;
+        result.totalCalls = data.totalCalls || 0;
+        result.usage = data.usage || null;
+      }
+    }
+  }
+  return result;
+}
+
+module.exports = { outcomeOf, buildTranscript };
@@ -0,0 +1,96 @@
+// Per-run token and cost accounting. One tracker per runConsensus call, so
+// overlapping requests never share counters.
+
+function emptyBucket() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+}
+
+function addTo(bucket, u, cost) {
+  bucket.calls += 1;
+  bucket.inputTokens += u.inputTokens;
+  bucket.outputTokens += u.outputTokens;
+  bucket.costUsd += cost;
+}
+
+// prices: { [model]: { input, output } } in USD per 1M tokens.
+function priceFor(prices, p) {
+  return p.price || prices[modelOf(p)] || null;
+}
+
+function modelOf(p) {
+  return p.model || p.provider;
+}
+
+function createUsageTracker(prices = {}) {
+  let attempts = 0;
+  let cacheHits = 0;
+  const total = emptyBucket();
+  const byModel = {};
+  const byPhase = {};
+  const unpriced = new Set();
+
+  return {
+    // Every HTTP attempt, including ones that failed and were retried.
+    attempt() {
+      attempts += 1;
+    },
+    // Calls answered by the response cache: no attempt, tokens or cost.
+    cacheHit() {
+      cacheHits += 1;
+    },
+    record(p, phase, usage) {
+      const u = {
+        inputTokens: Math.max(0, Number(usage?.inputTokens) || 0),
+        outputTokens: Math.max(0, Number(usage?.outputTokens) || 0),
+      };
+      const price = priceFor(prices, p);
+      if (!price) unpriced.add(modelOf(p));
+      const cost = price
+        ? (u.inputTokens * (price.input || 0) + u.outputTokens * (price.output || 0)) / 1e6
+        : 0;
+
+      addTo(total, u, cost);
+      addTo((byModel[modelOf(p)] ||= emptyBucket()), u, cost);
+      addTo((byPhase[phase || "solve"] ||= emptyBucket()), u, cost);
+      return u;
+    },
+    get calls() {
+      return attempts;
+    },
+    totals() {
+      const round = (b) => ({ ...b, costUsd: Math.round(b.costUsd * 1e6) / 1e6 });
+      const mapRound = (o) => Object.fromEntries(Object.entries(o).map(([k, v]) => [k, round(v)]));
+      return {
+        attempts,
+        cacheHits,
+        ...round(total),
+        byModel: mapRound(byModel),
+        byPhase: mapRound(byPhase),
+        unpriced: [...unpriced],
+      };
+    },
+  };
+}
+
+// budget: { maxTokens, maxCostUsd, maxSeconds }, any of them optional.
+// Returns the first cap that has been reached, or null.
+function budgetExceeded(tracker, budget, startedAt) {
+  if (!budget) return null;
+  const t = tracker.totals();
+  const used = {
+    tokens: t.inputTokens + t.outputTokens,
+    cost: t.costUsd,
+    seconds: (Date.now() - startedAt) / 1000,
+  };
+  const caps = [
+    ["tokens", budget.maxTokens],
+    ["cost", budget.maxCostUsd],
+    ["seconds", budget.maxSeconds],
+  ];
+  for (const [cap, limit] of caps) {
+    if (limit > 0 && used[cap] >= limit) return { cap, limit, used: used[cap] };
+  }
+  return null;
+}
+
+module.exports = { createUsageTracker, budgetExceeded };
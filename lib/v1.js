@@ -0,0 +1,216 @@
+const express = require("express");
+const path = require("path");
+const fs = require("fs");
+const { missingKeys } = require("./providers");
+const { createEventCollector } = require("./sse");
+const { buildTranscript } = require("./transcript");
+const { MAX_FILE_BYTES, isAllowedFile, parseFiles, buildQuery } = require("./files");
+const { logger } = require("./log");
+const { getStrategy, listStrategies } = require("./strategies");
+const { MAX_INSTRUCTIONS_CHARS } = require("./prompts");
+
+// Versioned JSON API. The contract is described in openapi.json; anything
+// added here must stay backwards compatible within /v1.
+const FILES_DIR = path.resolve(process.env.FILES_DIR || path.join(__dirname, "..", "data", "files"));
+const OPENAPI_FILE = path.join(__dirname, "..", "openapi.json");
+const MAX_ATTACHMENTS = 10;
+
+const ERROR_STATUS = {
+  invalid_request: 400,
+  unsupported_file: 400,
+  file_not_found: 400,
+  missing_api_key: 401,
+  unauthorized: 401,
+  not_found: 404,
+  payload_too_large: 413,
+  rate_limited: 429,
+  upstream_error: 502,
+  internal_error: 500,
+};
+
+function apiError(type, message, param) {
+  const err = new Error(message);
+  err.type = type;
+  if (param) err.param = param;
+  return err;
+}
+
+function sendError(res, err) {
+  const type = ERROR_STATUS[err.type] ? err.type : "internal_error";
+  const error = { type, message: err.message };
+  if (err.param) error.param = err.param;
+  if (err.runId) error.runId = err.runId;
+  res.status(ERROR_STATUS[type]).json({ error });
+}
+
+// Keys travel in headers, one per provider key name.
+const KEY_HEADERS = { anthropic: "X-Anthropic-Key", openai: "X-OpenAI-Key" };
+
+function readKeys(req) {
+  return {
+    anthropic: (req.get(KEY_HEADERS.anthropic) || "").trim(),
+    openai: (req.get(KEY_HEADERS.openai) || "").trim(),
+  };
+}
+
+function check(ok, message, param) {
+  if (!ok) throw apiError("invalid_request", message, param);
+}
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+// participants: the configured ones, for the modes they can run; presets: the
+// prompt preset ids.
+function validateBody(body, participants, presets) {
+  check(body && typeof body === "object" && !Array.isArray(body), "Request body must be a JSON object.");
+  const {
+    question = "", mode, iterations, review = {}, convergence, cache, budget = {}, attachments = [], stream, useFiles, preset, instructions,
+  } = body;
+  check(typeof question === "string", "question must be a string.", "question");
+  const strategy = mode === undefined ? null : getStrategy(mode);
+  check(mode === undefined || strategy?.id === mode,
+    `mode must be one of ${listStrategies(participants).map((m) => `"${m.id}"`).join(", ")}.`, "mode");
+  check(!strategy || participants.length >= strategy.minParticipants,
+    `mode "${mode}" needs at least ${strategy?.minParticipants} participants.`, "mode");
+  check(preset === undefined || presets.includes(preset),
+    `preset must be one of ${presets.map((id) => `"${id}"`).join(", ")}.`, "preset");
+  check(instructions === undefined || (typeof instructions === "string" && instructions.length <= MAX_INSTRUCTIONS_CHARS),
+    `instructions must be a string of at most ${MAX_INSTRUCTIONS_CHARS} characters.`, "instructions");
+  check(iterations === undefined || (Number.isInteger(iterations) && iterations >= 1 && iterations <= 20),
+    "iterations must be an integer from 1 to 20.", "iterations");
+  check(review && typeof review === "object", "review must be an object.", "review");
+  check(review.schedule === undefined || ["all-pairs", "ring"].includes(review.schedule),
+    "review.schedule must be \"all-pairs\" or \"ring\".", "review.schedule");
+  check(review.ringSize === undefined || (Number.isInteger(review.ringSize) && review.ringSize >= 1),
+    "review.ringSize must be a positive integer.", "review.ringSize");
+  check(review.quorum === undefined || ["majority", "all", "any"].includes(review.quorum) ||
+    (isNum(review.quorum) && review.quorum > 0), "review.quorum must be majority, all, any or a positive number.", "review.quorum");
+  check(convergence === undefined || typeof convergence === "boolean", "convergence must be a boolean.", "convergence");
+  check(cache === undefined || typeof cache === "boolean", "cache must be a boolean.", "cache");
+  check(budget && typeof budget === "object", "budget must be an object.", "budget");
+  for (const k of ["maxTokens", "maxCostUsd", "maxSeconds"]) {
+    check(budget[k] === undefined || (isNum(budget[k]) && budget[k] >= 0), `budget.${k} must be a non-negative number.`, `budget.${k}`);
+  }
+  check(stream === undefined || typeof stream === "boolean", "stream must be a boolean.", "stream");
+  check(useFiles === undefined || typeof useFiles === "boolean", "useFiles must be a boolean.", "useFiles");
+  check(Array.isArray(attachments), "attachments must be an array.", "attachments");
+  check(attachments.length <= MAX_ATTACHMENTS, `At most ${MAX_ATTACHMENTS} attachments are allowed.`, "attachments");
+  check(question.trim() || attachments.length, "Provide a question or attachments.", "question");
+}
+
+// attachments: [{ name, content }] with base64 content, or [{ ref, name? }]
+// naming a file under FILES_DIR. Returns [{ name, buffer }].
+function loadAttachments(attachments) {
+  return attachments.map((a, i) => {
+    const param = `attachments[${i}]`;
+    check(a && typeof a === "object", "Attachment must be an object.", param);
+    check(a.include === undefined || typeof a.include === "boolean", "include must be a boolean.", `${param}.include`);
+    if (a.ref !== undefined) {
+      check(typeof a.ref === "string" && a.ref, "ref must be a non-empty string.", `${param}.ref`);
+      const file = path.resolve(FILES_DIR, a.ref);
+      if (!file.startsWith(FILES_DIR + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        throw apiError("file_not_found", `No such file: ${a.ref}`, `${param}.ref`);
+      }
+      const name = a.name || path.basename(file);
+      if (!isAllowedFile(name)) throw apiError("unsupported_file", `Unsupported file type: ${name}`, param);
+      if (fs.statSync(file).size > MAX_FILE_BYTES) throw apiError("payload_too_large", `${name} is larger than 10 MB.`, param);
+      return { name, buffer: fs.readFileSync(file) };
+    }
+    check(typeof a.name === "string" && a.name, "name is required.", `${param}.name`);
+    check(typeof a.content === "string" && /^[A-Za-z0-9+/=\s]*$/.test(a.content),
+      "content must be base64.", `${param}.content`);
+    if (!isAllowedFile(a.name)) throw apiError("unsupported_file", `Unsupported file type: ${a.name}`, param);
+    const buffer = Buffer.from(a.content, "base64");
+    if (buffer.length > MAX_FILE_BYTES) throw apiError("payload_too_large", `${a.name} is larger than 10 MB.`, param);
+    return { name: a.name, buffer };
+  });
+}
+
+// deps come from createApp: the participants and prompt presets plus its
+// resolveSettings, execute, ownedRun, ownedActiveRun, keysFor and limitRuns.
+function createV1Router({ participants, presets, resolveSettings, execute, ownedRun, ownedActiveRun, keysFor, limitRuns }) {
+  const router = express.Router();
+
+  router.get("/openapi.json", (req, res) => res.sendFile(OPENAPI_FILE));
+
+  router.post("/consensus", limitRuns, async (req, res) => {
+    try {
+      const body = req.body;
+      validateBody(body, participants, presets);
+      const keys = keysFor(readKeys(req));
+      const missing = missingKeys(participants, keys);
+      if (missing.length) {
+        const headers = missing.map((k) => KEY_HEADERS[k] || `X-${k}-Key`);
+        throw apiError("missing_api_key", `Missing API key header(s): ${headers.join(", ")}.`);
+      }
+
+      const question = (body.question || "").trim();
+      const settings = resolveSettings({
+        mode: body.mode,
+        iterations: body.iterations,
+        schedule: body.review?.schedule,
+        ringSize: body.review?.ringSize,
+        quorum: body.review?.quorum,
+        convergence: body.convergence,
+        cache: body.cache,
+        budget: body.budget,
+        preset: body.preset,
+        instructions: body.instructions,
+      });
+      // Attachments are included unless useFiles is false or they say include: false.
+      const attachments = body.attachments || [];
+      const parsed = await parseFiles(loadAttachments(attachments)
+        .map((a, i) => ({ ...a, include: body.useFiles !== false && attachments[i].include !== false })));
+      const { fullQuery, included, report } = buildQuery(question, parsed);
+      const job = { question, fullQuery, files: included, fileReport: report, settings, keys, user: req.user.id };
+
+      if (body.stream) {
+        // Engine errors are already in the stream as an "error" event.
+        await execute(res, job, { res }).catch((err) => {
+          if (!res.headersSent) throw err;
+        });
+        return res.end();
+      }
+      const sink = createEventCollector();
+      try {
+        await execute(sink, job, { res });
+      } catch (err) {
+        if (err.type) throw err;
+        throw Object.assign(apiError("upstream_error", err.message), { runId: sink.locals.run?.id });
+      }
+      if (!res.writableEnded && !res.destroyed) res.json(buildTranscript(sink.events));
+    } catch (err) {
+      if (!ERROR_STATUS[err.type] || err.type === "upstream_error") logger.error("request failed", { path: req.path, type: err.type || null, runId: err.runId || null, error: err.message });
+      if (res.headersSent) return res.end();
+      sendError(res, err);
+    }
+  });
+
+  // The same result document for a stored run (or one still in progress).
+  router.get("/runs/:id", (req, res) => {
+    const run = ownedRun(req, req.params.id);
+    if (!run) return sendError(res, apiError("not_found", "Run not found."));
+    res.json({ ...buildTranscript(run.events), id: run.id, status: run.status });
+  });
+
+  router.post("/runs/:id/cancel", (req, res) => {
+    const controller = ownedActiveRun(req, req.params.id);
+    if (!controller) return sendError(res, apiError("not_found", "No active run with that id."));
+    controller.abort("cancelled by user");
+    res.status(202).json({ id: req.params.id, cancelled: true });
+  });
+
+  return router;
+}
+
+// Body-parser failures (bad JSON, too large) become typed errors too, as do
+// the auth and rate-limit errors raised before the router.
+function v1ErrorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  if (ERROR_STATUS[err.type]) return sendError(res, err);
+  if (err.type === "entity.too.large") return sendError(res, apiError("payload_too_large", "Request body is too large."));
+  if (err.type === "entity.parse.failed") return sendError(res, apiError("invalid_request", "Request body is not valid JSON."));
+  sendError(res, apiError("internal_error", err.message));
+}
+
+module.exports = { ERROR_STATUS, createV1Router, v1ErrorHandler };
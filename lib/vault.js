@@ -0,0 +1,121 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const { logger } = require("./log");
+
+if (require.main === module) require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+// Server-managed provider keys, by key name ("anthropic", "openai"). Stored
+// AES-256-GCM encrypted in VAULT_FILE with a key derived from the
+// VAULT_MASTER_KEY environment variable; a name missing from the vault falls
+// back to the matching .env variable. Manage it with `node lib/vault.js`.
+const VAULT_FILE = process.env.VAULT_FILE || path.join(__dirname, "..", "data", "vault.json");
+const ENV_FALLBACK = { anthropic: "ANTHROPIC_API_KEY", openai: "OPENAI_API_KEY" };
+
+function deriveKey(masterKey) {
+  return crypto.scryptSync(masterKey, "ai-consensus-vault", 32);
+}
+
+function encrypt(key, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(value, "utf-8"), cipher.final()]);
+  return { iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), data: data.toString("base64") };
+}
+
+function decrypt(key, entry) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(entry.iv, "base64"));
+  decipher.setAuthTag(Buffer.from(entry.tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(entry.data, "base64")), decipher.final()]).toString("utf-8");
+}
+
+const hint = (value) => `…${value.slice(-4)}`;
+
+function createVault({ file = VAULT_FILE, masterKey = process.env.VAULT_MASTER_KEY, env = process.env } = {}) {
+  const key = masterKey ? deriveKey(masterKey) : null;
+  let warned = false;
+
+  // Re-read on every call so `node lib/vault.js set` takes effect without a restart.
+  function readEntries() {
+    if (!file || !fs.existsSync(file)) return {};
+    return JSON.parse(fs.readFileSync(file, "utf-8")).keys || {};
+  }
+
+  function stored() {
+    const entries = readEntries();
+    if (!Object.keys(entries).length) return {};
+    if (!key) {
+      if (!warned) logger.warn("VAULT_MASTER_KEY is not set; stored keys are ignored");
+      warned = true;
+      return {};
+    }
+    const out = {};
+    for (const [name, entry] of Object.entries(entries)) {
+      try {
+        out[name] = decrypt(key, entry);
+      } catch {
+        logger.error("cannot decrypt vault key; wrong VAULT_MASTER_KEY?", { name });
+      }
+    }
+    return out;
+  }
+
+  return {
+    // Vault entries over .env fallbacks: { anthropic: "...", openai: "..." }.
+    keys() {
+      const out = {};
+      for (const [name, variable] of Object.entries(ENV_FALLBACK)) {
+        if (env[variable]) out[name] = env[variable];
+      }
+      return { ...out, ...stored() };
+    },
+    // Names and sources only; values never leave the vault.
+    list() {
+      const entries = stored();
+      const names = new Set([...Object.keys(ENV_FALLBACK).filter((n) => env[ENV_FALLBACK[n]]), ...Object.keys(entries)]);
+      return [...names].sort().map((name) => ({
+        name,
+        source: entries[name] ? "vault" : "env",
+        hint: hint(entries[name] || env[ENV_FALLBACK[name]]),
+      }));
+    },
+    set(name, value) {
+      if (!key) throw new Error("VAULT_MASTER_KEY must be set to store keys.");
+      const entries = readEntries();
+      entries[name] = encrypt(key, value);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ keys: entries }, null, 2), { mode: 0o600 });
+    },
+    remove(name) {
+      const entries = readEntries();
+      if (!entries[name]) return false;
+      delete entries[name];
+      fs.writeFileSync(file, JSON.stringify({ keys: entries }, null, 2), { mode: 0o600 });
+      return true;
+    },
+  };
+}
+
+module.exports = { VAULT_FILE, ENV_FALLBACK, createVault };
+
+// node lib/vault.js list | set <name> | remove <name>   (set reads the key from stdin)
+if (require.main === module) {
+  const [cmd, name] = process.argv.slice(2);
+  const vault = createVault();
+  if (cmd === "list") {
+    for (const k of vault.list()) console.log(`${k.name}\t${k.source}\t${k.hint}`);
+  } else if (cmd === "set" && name) {
+    let input = "";
+    process.stdin.on("data", (c) => (input += c));
+    process.stdin.on("end", () => {
+      if (!input.trim()) return console.error("No key on stdin.");
+      vault.set(name, input.trim());
+      console.log(`Stored ${name} in ${VAULT_FILE}`);
+    });
+  } else if (cmd === "remove" && name) {
+    console.log(vault.remove(name) ? `Removed ${name}` : `${name} is not in the vault`);
+  } else {
+    console.log("Usage: node lib/vault.js list | set <name> < key.txt | remove <name>");
+    process.exitCode = 1;
+  }
+}
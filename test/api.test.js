@@ -0,0 +1,181 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeLlm, reply } = require("./helpers/fake-llm");
+const { postConsensus, eventNames } = require("./helpers/sse");
+const { KEYS, fakeParticipants, startApp } = require("./helpers/app");
+
+const fake = createFakeLlm();
+let app;
+let baseUrl;
+
+test.before(async () => {
+  app = await startApp({ participants: fakeParticipants(await fake.start()) });
+  baseUrl = app.baseUrl;
+});
+
+test.afterEach(() => fake.reset());
+
+test.after(async () => {
+  await app.close();
+  await fake.close();
+});
+
+const ITERATION = [
+  "iteration",
+  "step", "step", "answer", "answer",
+  "step", "step", "review", "review",
+];
+
+test("fast mode: one solve and one review each, then consensus", async () => {
+  const { status, events } = await postConsensus(baseUrl, { ...KEYS, question: "What is 2+2?", mode: "fast" });
+  assert.equal(status, 200);
+  assert.deepEqual(eventNames(events), ["run", "participants", "status", ...ITERATION, "consensus"]);
+
+  assert.ok(events.some((e) => e.event === "answer_delta"), "solves are streamed");
+  const reviews = events.filter((e) => e.event === "review");
+  assert.deepEqual(reviews.map((e) => e.data.method), ["native", "native"]);
+
+  const done = events.at(-1).data;
+  assert.ok(["claude", "gpt"].includes(done.winner));
+  assert.match(done.answer, /^Answer from (claude|gpt)-test\.$/);
+  assert.equal(done.totalCalls, 4);
+  assert.equal(fake.requests.length, 4);
+});
+
+test("robust mode: accepted by every reviewer in the first iteration", async () => {
+  const { events } = await postConsensus(baseUrl, { ...KEYS, question: "What is 2+2?", mode: "robust" });
+  assert.deepEqual(eventNames(events), [
+    "run", "participants", "status", ...ITERATION, "verdict", "similarity", "consensus",
+  ]);
+  const verdict = events.find((e) => e.event === "verdict").data;
+  assert.deepEqual(verdict.verdicts.map((v) => v.accepted), [true, true]);
+  assert.equal(events.at(-1).data.iteration, 1);
+});
+
+test("robust mode: revises after critique, then reaches consensus", async () => {
+  fake.script(({ kind, n, model }) => {
+    if (kind === "review" && n === 1) return reply.revise({ issues: [`Fix ${model}'s review target`] });
+    if (kind === "solve" && n === 2) return reply.answer(`Revised answer from ${model}.`);
+  });
+  const { events } = await postConsensus(baseUrl, {
+    ...KEYS, question: "What is 2+2?", mode: "robust", iterations: 3, convergence: "off",
+  });
+  assert.deepEqual(eventNames(events), [
+    "run", "participants", "status",
+    ...ITERATION, "verdict", "similarity", "status",
+    ...ITERATION, "verdict", "similarity", "consensus",
+  ]);
+  assert.equal(events.at(-1).data.iteration, 2);
+  assert.match(events.at(-1).data.answer, /^Revised answer/);
+
+  const revision = fake.requests.find((r) => r.kind === "solve" && r.n === 2);
+  assert.match(revision.prompt, /Critique from (Claude|GPT)/);
+});
+
+test("robust mode: falls back to the best answer after max iterations", async () => {
+  fake.script(({ kind }) => (kind === "review" ? reply.revise() : undefined));
+  const { events } = await postConsensus(baseUrl, {
+    ...KEYS, question: "What is 2+2?", mode: "robust", iterations: 2, convergence: "off",
+  });
+  assert.deepEqual(eventNames(events), [
+    "run", "participants", "status",
+    ...ITERATION, "verdict", "similarity", "status",
+    ...ITERATION, "verdict", "similarity", "status",
+    "fallback",
+  ]);
+  const done = events.at(-1).data;
+  assert.equal(done.reason, "max_iterations");
+  assert.ok(done.answer);
+});
+
+test("429 and 529 with retry-after are retried", async () => {
+  fake.script(({ kind, n, api }) => {
+    if (kind === "solve" && n === 1) return reply.error(api === "anthropic" ? 529 : 429, { "retry-after": "0.01" });
+  });
+  const { events } = await postConsensus(baseUrl, { ...KEYS, question: "What is 2+2?", mode: "fast" });
+  const done = events.at(-1);
+  assert.equal(done.event, "consensus");
+  assert.equal(done.data.usage.attempts, 6);
+  assert.equal(fake.requests.filter((r) => r.kind === "solve").length, 4);
+});
+
+test("reviews are extracted, repaired, or defaulted when the JSON is bad", async () => {
+  const fenced = "Review below.\n```json\n" + JSON.stringify(reply.accept().json) + "\n```";
+  fake.script(({ kind, api }) => {
+    if (kind !== "review") return undefined;
+    // GPT wraps its JSON in prose; Claude never returns any JSON at all.
+    return api === "openai" ? reply.text(fenced) : reply.malformed();
+  });
+  const { events } = await postConsensus(baseUrl, { ...KEYS, question: "What is 2+2?", mode: "robust", iterations: 1 });
+
+  const byReviewer = Object.fromEntries(
+    events.filter((e) => e.event === "review").map((e) => [e.data.reviewerId, e.data]),
+  );
+  assert.equal(byReviewer.gpt.method, "extracted");
+  assert.equal(byReviewer.claude.method, "default");
+  assert.equal(byReviewer.claude.result, null);
+  // Claude's unparseable review was retried once with "Return ONLY valid JSON".
+  assert.equal(fake.requests.filter((r) => r.api === "anthropic" && r.kind === "review").length, 2);
+
+  // GPT's answer was only "reviewed" by Claude, so it can't reach quorum.
+  assert.equal(events.at(-1).event, "fallback");
+});
+
+test("a truncated answer is never accepted", async () => {
+  fake.script(({ kind, api }) => (kind === "solve" && api === "anthropic" ? reply.truncated() : undefined));
+  const { events } = await postConsensus(baseUrl, { ...KEYS, question: "What is 2+2?", mode: "robust", iterations: 1 });
+
+  const verdicts = events.find((e) => e.event === "verdict").data.verdicts;
+  assert.deepEqual(verdicts.map((v) => [v.participant, v.accepted]), [["claude", false], ["gpt", true]]);
+  const done = events.at(-1).data;
+  assert.equal(done.reason, "max_iterations");
+  assert.equal(done.winner, "gpt");
+});
+
+test("a truncated OpenAI answer still counts its tokens", async () => {
+  fake.script(({ kind, api }) => (kind === "solve" && api === "openai" ? reply.truncated() : undefined));
+  const { events } = await postConsensus(baseUrl, { ...KEYS, question: "What is 2+2?", mode: "fast", iterations: 1 });
+
+  const gpt = fake.requests.filter((r) => r.api === "openai");
+  const { usage } = events.at(-1).data;
+  assert.equal(usage.byModel["gpt-test"].inputTokens, gpt.reduce((n, r) => n + Math.ceil(r.prompt.length / 4), 0));
+});
+
+test("uploads reach the models by default; a files event reports each one", async () => {
+  const { events } = await postConsensus(baseUrl, {
+    ...KEYS, question: "What's wrong here?", mode: "fast", exclude: "secrets.env.txt",
+    files: [
+      new File(["function add(a, b) { return a - b; }"], "add.js"),
+      new File(["TOKEN=abc"], "secrets.env.txt"),
+      new File(["not really a pdf"], "scan.pdf"),
+      new File(["  \n"], "blank.md"),
+    ],
+  });
+  assert.deepEqual(eventNames(events).slice(0, 3), ["run", "files", "participants"]);
+  assert.deepEqual(events[1].data.files.map((f) => [f.name, f.status, f.reason?.replace(/:.*/, "")]), [
+    ["add.js", "included", undefined],
+    ["secrets.env.txt", "skipped", "Excluded"],
+    ["scan.pdf", "skipped", "Could not be read"],
+    ["blank.md", "skipped", "No text found"],
+  ]);
+  const solve = fake.requests.find((r) => r.kind === "solve").prompt;
+  assert.match(solve, /### File: add\.js \(js\)\n```\nfunction add/);
+  assert.doesNotMatch(solve, /TOKEN=abc|not really a pdf/);
+});
+
+test("missing keys are rejected before anything runs", async () => {
+  const { status, json } = await postConsensus(baseUrl, { question: "What is 2+2?", claude_key: "sk-ant-test-key" });
+  assert.equal(status, 400);
+  assert.match(json.error, /Missing API key\(s\): OpenAI/);
+  assert.equal(fake.requests.length, 0);
+});
+
+test("modes come from the strategy registry; one the participants can't run is rejected", async () => {
+  const { strategies } = await (await fetch(`${baseUrl}/api/strategies`)).json();
+  assert.deepEqual(strategies.filter((s) => !s.available).map((s) => s.id), ["judge"]);
+
+  const { status, json } = await postConsensus(baseUrl, { ...KEYS, question: "What is 2+2?", mode: "judge" });
+  assert.equal(status, 400);
+  assert.match(json.error, /Judge needs at least 3 participants/);
+  assert.equal(fake.requests.length, 0);
+});
@@ -0,0 +1,191 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "consensus-auth-"));
+
+const { createFakeLlm } = require("./helpers/fake-llm");
+const { postConsensus } = require("./helpers/sse");
+const { fakeParticipants, startApp } = require("./helpers/app");
+const { DEFAULT_AUTH } = require("../lib/config");
+const { createVault } = require("../lib/vault");
+const { hashPassword, verifyPassword, hashToken, newToken, createAuth, createRateLimiter } = require("../lib/auth");
+
+const VAULT_KEYS = { anthropic: "sk-ant-from-the-vault", openai: "sk-openai-from-the-vault" };
+const TOKEN = newToken();
+const BEARER = { Authorization: `Bearer ${TOKEN}` };
+const basic = (user, password) => ({ Authorization: `Basic ${Buffer.from(`${user}:${password}`).toString("base64")}` });
+
+const fake = createFakeLlm();
+let app;
+
+test.before(async () => {
+  const vault = createVault({ file: path.join(tmp, "vault.json"), masterKey: "master", env: {} });
+  for (const [name, value] of Object.entries(VAULT_KEYS)) vault.set(name, value);
+  app = await startApp({
+    participants: fakeParticipants(await fake.start()),
+    vault,
+    authSettings: {
+      ...DEFAULT_AUTH,
+      users: [
+        { id: "alice", password: hashPassword("correct horse") },
+        { id: "bob", password: hashPassword("battery staple") },
+        { id: "ci", tokens: [hashToken(TOKEN)], limits: { requestsPerMinute: 2 } },
+      ],
+    },
+  });
+});
+
+test.afterEach(() => fake.reset());
+
+test.after(async () => {
+  await app.close();
+  await fake.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test("passwords and tokens are checked against their hashes", async () => {
+  const stored = hashPassword("s3cret");
+  assert.match(stored, /^scrypt:[0-9a-f]{32}:[0-9a-f]{64}$/);
+  assert.equal(await verifyPassword("s3cret", stored), true);
+  assert.equal(await verifyPassword("s3cret!", stored), false);
+  assert.equal(await verifyPassword("s3cret", "plain"), false);
+  assert.notEqual(hashToken(TOKEN), hashToken(newToken()));
+});
+
+test("the vault encrypts keys and falls back to .env", () => {
+  const file = path.join(tmp, "unit-vault.json");
+  const vault = createVault({ file, masterKey: "one", env: { OPENAI_API_KEY: "sk-openai-env-key" } });
+  vault.set("anthropic", "sk-ant-secret-value");
+  assert.doesNotMatch(fs.readFileSync(file, "utf-8"), /sk-ant-secret-value/);
+  assert.deepEqual(vault.keys(), { anthropic: "sk-ant-secret-value", openai: "sk-openai-env-key" });
+  assert.deepEqual(vault.list(), [
+    { name: "anthropic", source: "vault", hint: "…alue" },
+    { name: "openai", source: "env", hint: "…-key" },
+  ]);
+
+  const wrongKey = createVault({ file, masterKey: "two", env: {} });
+  assert.deepEqual(wrongKey.keys(), {});
+  assert.equal(vault.remove("anthropic"), true);
+  assert.deepEqual(vault.keys(), { openai: "sk-openai-env-key" });
+});
+
+test("rate limits use sliding windows", () => {
+  let now = 0;
+  const limiter = createRateLimiter(() => ({ requestsPerMinute: 2, tokensPerHour: 1000 }), () => now);
+  limiter.take("u");
+  limiter.take("u");
+  assert.throws(() => limiter.take("u"), (err) => err.status === 429 && err.retryAfter === 60);
+  limiter.take("other");
+
+  now = 61 * 1000;
+  limiter.take("u");
+  limiter.record("u", 1200);
+  assert.equal(limiter.remainingTokens("u"), 0);
+  assert.throws(() => limiter.take("u"), /Token limit/);
+  now += 60 * 60 * 1000;
+  assert.equal(limiter.remainingTokens("u"), 1000);
+});
+
+test("failed logins are throttled per address and per user name", async () => {
+  let now = 0;
+  const auth = createAuth({
+    users: [{ id: "carol", password: hashPassword("pw") }],
+    loginFailures: { perIp: 5, perUser: 3, windowSeconds: 60 },
+  }, () => now);
+  const login = (ip, user, password) => new Promise((resolve) => {
+    const req = { ip, get: () => basic(user, password).Authorization };
+    auth.middleware(req, { set() {} }, (err) => resolve(err ? `${err.status}${err.retryAfter ? ` ${err.retryAfter}s` : ""}` : req.user.id));
+  });
+
+  for (let i = 0; i < 3; i++) assert.equal(await login("10.0.0.1", "carol", "wrong"), "401");
+  // Three misses lock carol out from anywhere, even with her password.
+  assert.equal(await login("10.0.0.2", "carol", "pw"), "429 60s");
+  // The first address has two misses left, on any name.
+  assert.equal(await login("10.0.0.1", "mallory", "x"), "401");
+  assert.equal(await login("10.0.0.1", "nobody", "x"), "401");
+  assert.equal(await login("10.0.0.1", "nobody", "x"), "429 60s");
+  assert.equal(await login("10.0.0.3", "nobody", "x"), "401");
+
+  now = 61 * 1000;
+  assert.equal(await login("10.0.0.2", "carol", "pw"), "carol");
+  // A browser that already logged in keeps working while she is locked out.
+  for (let i = 0; i < 3; i++) await login("10.0.0.4", "carol", "wrong");
+  assert.equal(await login("10.0.0.4", "carol", "wrong"), "429 60s");
+  assert.equal(await login("10.0.0.2", "carol", "pw"), "carol");
+});
+
+test("requests without credentials are turned away", async () => {
+  for (const headers of [{}, { Authorization: "Bearer nope" }, basic("alice", "wrong")]) {
+    const resp = await fetch(`${app.baseUrl}/`, { headers });
+    assert.equal(resp.status, 401);
+    assert.match(resp.headers.get("www-authenticate"), /^Basic/);
+  }
+  const v1 = await fetch(`${app.baseUrl}/v1/runs/x`);
+  assert.equal((await v1.json()).error.type, "unauthorized");
+  assert.equal(fake.requests.length, 0);
+});
+
+test("a logged-in user runs on the server's keys, which stay out of history", async () => {
+  const session = await (await fetch(`${app.baseUrl}/api/session`, { headers: basic("alice", "correct horse") })).json();
+  assert.equal(session.user, "alice");
+  assert.deepEqual(session.managedKeys.sort(), ["anthropic", "openai"]);
+
+  const { status, events } = await postConsensus(app.baseUrl, { question: "What is 2+2?", mode: "fast" }, basic("alice", "correct horse"));
+  assert.equal(status, 200);
+  assert.equal(events.at(-1).event, "consensus");
+
+  const anthropic = fake.requests.find((r) => r.api === "anthropic");
+  const openai = fake.requests.find((r) => r.api === "openai");
+  assert.equal(anthropic.headers["x-api-key"], VAULT_KEYS.anthropic);
+  assert.equal(openai.headers.authorization, `Bearer ${VAULT_KEYS.openai}`);
+
+  const runId = events[0].data.id;
+  const stored = fs.readFileSync(path.join(process.env.RUNS_DIR, `${runId}.jsonl`), "utf-8");
+  assert.match(stored, /"user":"alice"/);
+  assert.doesNotMatch(stored, /from-the-vault/);
+});
+
+test("a token user is rate limited per minute", async () => {
+  const post = () => fetch(`${app.baseUrl}/v1/consensus`, {
+    method: "POST",
+    headers: { ...BEARER, "Content-Type": "application/json" },
+    body: JSON.stringify({ question: "What is 2+2?", mode: "fast" }),
+  });
+  assert.equal((await post()).status, 200);
+  assert.equal((await post()).status, 200);
+  const limited = await post();
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get("retry-after")) > 0);
+  assert.equal((await limited.json()).error.type, "rate_limited");
+
+  // Alice has her own (unlimited) allowance.
+  const { status } = await postConsensus(app.baseUrl, { question: "What is 2+2?", mode: "fast" }, basic("alice", "correct horse"));
+  assert.equal(status, 200);
+});
+
+test("runs and jobs are only visible to the user who started them", async () => {
+  const alice = basic("alice", "correct horse");
+  const bob = basic("bob", "battery staple");
+  const { events } = await postConsensus(app.baseUrl, { question: "What is 3+3?", mode: "fast" }, alice);
+  const runId = events[0].data.id;
+  const form = new FormData();
+  form.append("question", "What is 4+4?");
+  form.append("mode", "fast");
+  const job = await (await fetch(`${app.baseUrl}/api/jobs`, { method: "POST", headers: alice, body: form })).json();
+
+  const get = (url, headers, method = "GET") => fetch(`${app.baseUrl}${url}`, { method, headers });
+  for (const url of [`/api/runs/${runId}`, `/api/runs/${runId}/export`, `/api/runs/${runId}/events`, `/v1/runs/${runId}`, `/api/jobs/${job.id}`]) {
+    assert.equal((await get(url, bob)).status, 404, url);
+    assert.equal((await get(url, alice)).status, 200, url);
+  }
+  for (const url of [`/api/runs/${runId}/cancel`, `/v1/runs/${runId}/cancel`, `/api/jobs/${job.id}/cancel`]) {
+    assert.equal((await get(url, bob, "POST")).status, 404, url);
+  }
+  assert.deepEqual((await (await get("/api/runs", bob)).json()).runs, []);
+  assert.deepEqual((await (await get("/api/jobs", bob)).json()).jobs, []);
+  assert.ok((await (await get("/api/runs", alice)).json()).runs.some((r) => r.id === runId));
+  assert.ok((await (await get("/api/jobs", alice)).json()).jobs.some((j) => j.id === job.id));
+});
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createResponseCache } = require("../lib/cache");
+const { createFakeLlm, reply } = require("./helpers/fake-llm");
+const { postConsensus } = require("./helpers/sse");
+const { KEYS, fakeParticipants, startApp } = require("./helpers/app");
+
+const fake = createFakeLlm();
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "consensus-cache-"));
+let app;
+
+test.before(async () => {
+  app = await startApp({
+    participants: fakeParticipants(await fake.start()),
+    cacheSettings: { enabled: true, dir: cacheDir, ttlSeconds: 3600, maxEntries: 100, maxBytes: 1e7 },
+  });
+});
+
+test.afterEach(() => fake.reset());
+
+test.after(async () => {
+  await app.close();
+  await fake.close();
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+test("entries expire, and the least recently used go first past the limits", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "consensus-cache-"));
+  try {
+    const first = createResponseCache({ dir, ttlSeconds: 3600, maxEntries: 2 });
+    const [a, b, c, d] = ["a", "b", "c", "d"].map((k) => first.key({ k }));
+    first.set(a, { text: "A", usage: { inputTokens: 1 } });
+    first.set(b, { text: "B" });
+    fs.utimesSync(path.join(dir, `${a}.json`), new Date(Date.now() - 10000), new Date(Date.now() - 10000));
+    fs.utimesSync(path.join(dir, `${b}.json`), new Date(Date.now() - 20000), new Date(Date.now() - 20000));
+    // A new cache takes the order from the files: b is the least recently used.
+    const cache = createResponseCache({ dir, ttlSeconds: 3600, maxEntries: 2 });
+    cache.set(c, { text: "C" });
+    assert.equal(cache.get(a).text, "A"); // now the most recently used
+    cache.set(d, { text: "D" });
+    assert.deepEqual([a, b, c, d].map((k) => cache.get(k)?.text ?? null), ["A", null, null, "D"]);
+    assert.deepEqual(fs.readdirSync(dir).sort(), [`${a}.json`, `${d}.json`].sort());
+
+    const short = createResponseCache({ dir, ttlSeconds: 0.05 });
+    await new Promise((r) => setTimeout(r, 80));
+    assert.equal(short.get(a), null);
+    assert.ok(!fs.existsSync(path.join(dir, `${a}.json`)));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("entries written by another process count toward the limits", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "consensus-cache-"));
+  try {
+    const server = createResponseCache({ dir, ttlSeconds: 3600, maxEntries: 2, rescanSeconds: 3600 });
+    const cli = createResponseCache({ dir, ttlSeconds: 3600, maxEntries: 2, rescanSeconds: 0 });
+    const [a, b, c, d] = ["a", "b", "c", "d"].map((k) => server.key({ k }));
+    cli.set(a, { text: "A" });
+    cli.set(b, { text: "B" });
+    fs.utimesSync(path.join(dir, `${a}.json`), new Date(Date.now() - 10000), new Date(Date.now() - 10000));
+    // Not rescanned yet: the server only knows about what it reads.
+    server.set(c, { text: "C" });
+    assert.equal(fs.readdirSync(dir).length, 3);
+    assert.equal(server.get(b).text, "B");
+    // b was read, so it outranks c; a is still unknown to the server.
+    server.set(d, { text: "D" });
+    assert.deepEqual(fs.readdirSync(dir).sort(), [`${a}.json`, `${b}.json`, `${d}.json`].sort());
+    // The CLI reads the directory again before pruning, so it sees all of them.
+    fs.utimesSync(path.join(dir, `${b}.json`), new Date(Date.now() - 5000), new Date(Date.now() - 5000));
+    cli.set(c, { text: "C" });
+    assert.deepEqual(fs.readdirSync(dir).sort(), [`${c}.json`, `${d}.json`].sort());
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("a repeated run is answered from the cache and costs nothing; cache=off calls again", async () => {
+  const first = await postConsensus(app.baseUrl, { ...KEYS, question: "What is 2+2?", mode: "fast" });
+  assert.equal(fake.requests.length, 4);
+  assert.ok(first.events.every((e) => e.event !== "cache"));
+  fake.reset();
+
+  const again = await postConsensus(app.baseUrl, { ...KEYS, question: "What is 2+2?", mode: "fast" });
+  assert.equal(fake.requests.length, 0);
+  const hits = again.events.filter((e) => e.event === "cache").map((e) => e.data);
+  assert.deepEqual(hits.map((h) => [h.key, h.phase, h.source]).sort(), [
+    ["review:claude>gpt", "review", "stored"], ["review:gpt>claude", "review", "stored"],
+    ["solve:claude", "solve", "stored"], ["solve:gpt", "solve", "stored"],
+  ]);
+  const done = again.events.at(-1).data;
+  assert.equal(done.answer, first.events.at(-1).data.answer);
+  assert.deepEqual([done.totalCalls, done.usage.cacheHits, done.usage.inputTokens, done.usage.costUsd], [0, 4, 0, 0]);
+  assert.ok(again.events.some((e) => e.event === "answer_delta"), "cached solves still stream");
+
+  await postConsensus(app.baseUrl, { ...KEYS, question: "What is 2+2?", mode: "fast", cache: "off" });
+  assert.equal(fake.requests.length, 4);
+});
+
+test("identical calls in flight at once go out only once", async () => {
+  fake.script(async ({ kind, model }) => {
+    await new Promise((r) => setTimeout(r, 150));
+    return kind === "review" ? reply.accept() : reply.answer(`Slow answer from ${model}.`);
+  });
+  const runs = await Promise.all([1, 2].map(() => postConsensus(app.baseUrl, { ...KEYS, question: "What is 3+3?", mode: "fast" })));
+  assert.equal(fake.requests.length, 4);
+  const hits = runs.flatMap((r) => r.events.filter((e) => e.event === "cache").map((e) => e.data.source));
+  assert.equal(hits.length, 4);
+  assert.ok(hits.includes("in-flight"));
+  assert.equal(runs[0].events.at(-1).data.answer, runs[1].events.at(-1).data.answer);
+});
@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const { parseArgs, EXIT_CODES } = require("../lib/cli");
+
+const CLI = path.join(__dirname, "..", "index.js");
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "consensus-cli-"));
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Runs index.js against mock participants. Returns { code, stdout, stderr };
+// onStderr(text, child) sees the progress log as it arrives.
+function cli(args, { participants, stdin = "", onStderr } = {}) {
+  const config = path.join(dir, `config-${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(config, JSON.stringify({
+    participants: participants || [{ id: "a", name: "Mock A", provider: "mock" }, { id: "b", name: "Mock B", provider: "mock", mockConfidence: 0.9 }],
+  }));
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [CLI, ...args], {
+      cwd: dir,
+      env: { ...process.env, CONSENSUS_CONFIG: config },
+      timeout: 20000,
+    });
+    let stdout = "";
+    let stderr = "";
+    child.stdout.on("data", (c) => (stdout += c));
+    child.stderr.on("data", (c) => {
+      stderr += c;
+      onStderr?.(stderr, child);
+    });
+    child.on("error", reject);
+    child.on("close", (code) => resolve({ code, stdout, stderr }));
+    child.stdin.end(stdin);
+  });
+}
+
+test("options parse with = or a separate value, and files repeat", () => {
+  assert.deepEqual(parseArgs(["--fast", "--iters=3", "--file", "a.pdf", "--file=b.md", "What", "is", "--", "--this?"]), {
+    question: ["What", "is", "--this?"], file: ["a.pdf", "b.md"], fast: true, iters: "3",
+  });
+  assert.throws(() => parseArgs(["--colour"]), /Unknown option: --colour/);
+  assert.throws(() => parseArgs(["--mode"]), /--mode needs a value/);
+});
+
+test("a run prints its progress on stderr and the answer or JSON transcript on stdout", async () => {
+  const notes = path.join(dir, "notes.md");
+  fs.writeFileSync(notes, "Launch is on March 3.");
+  const { code, stdout, stderr } = await cli(["--fast", "--json", `--file=${notes}`, "When", "is", "launch?"]);
+  assert.equal(code, EXIT_CODES.consensus);
+  const result = JSON.parse(stdout);
+  assert.deepEqual([result.outcome, result.strategy, result.winner, result.totalCalls], ["consensus", "fast", "a", 4]);
+  assert.deepEqual(result.files.map((f) => [f.name, f.status]), [["notes.md", "included"]]);
+  assert.equal(result.iterations[0].answers.length, 2);
+  assert.match(stderr, /File notes\.md: included\n.*Participants: Mock A \(mock\), Mock B \(mock\) · fast · prompts default@1\/\w{8}\n/);
+  assert.match(stderr, /Mock B → Mock A: ACCEPT \(0\.9\)\n.*consensus · winner a · 4 calls · \d+ tokens/);
+
+  // From stdin up to END, answer only.
+  const plain = await cli(["--robust", "--quiet"], { stdin: "What is 2+2?\nEND\nnot part of it\n" });
+  assert.equal(plain.code, 0);
+  assert.match(plain.stdout, /^Mock answer from Mock A \(\w{8}\)\.\n$/);
+  assert.equal(plain.stderr, "");
+});
+
+test("exit codes tell fallback, cancellation and bad usage apart", async () => {
+  const revise = { mockReview: { decision: "REVISE", is_complete: false } };
+  const fallback = await cli(["--iters=1", "--quiet", "--json", "What is 2+2?"], {
+    participants: [{ id: "a", provider: "mock", ...revise }, { id: "b", provider: "mock", ...revise }],
+  });
+  assert.equal(fallback.code, EXIT_CODES.fallback);
+  assert.deepEqual([JSON.parse(fallback.stdout).outcome, JSON.parse(fallback.stdout).reason], ["fallback", "max_iterations"]);
+
+  // Ctrl+C during a slow solve still prints the result so far.
+  const slow = { provider: "mock", mockDelayMs: 5000 };
+  let interrupted = false;
+  const cancelled = await cli(["--json", "What is 2+2?"], {
+    participants: [{ id: "a", ...slow }, { id: "b", ...slow }],
+    // Once: a second Ctrl+C exits without the result.
+    onStderr: (text, child) => {
+      if (!interrupted && text.includes("solving")) interrupted = child.kill("SIGINT");
+    },
+  });
+  assert.equal(cancelled.code, EXIT_CODES.cancelled);
+  assert.deepEqual([JSON.parse(cancelled.stdout).outcome, JSON.parse(cancelled.stdout).reason], ["cancelled", "interrupted"]);
+
+  const judge = await cli(["--mode=judge", "Hi"]);
+  assert.equal(judge.code, EXIT_CODES.usage);
+  assert.equal(judge.stderr, "Judge needs at least 3 participants; 2 are configured.\n");
+  const missing = await cli([`--file=${path.join(dir, "nope.pdf")}`, "Hi"]);
+  assert.deepEqual([missing.code, missing.stdout], [EXIT_CODES.usage, ""]);
+  assert.match(missing.stderr, /^No such file: .*nope\.pdf\n$/);
+});
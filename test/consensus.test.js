@@ -0,0 +1,185 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  looksTruncated,
+  stripEndToken,
+  ensureEndToken,
+  endTokenFilter,
+  makeSolverPrompt,
+  makeReviewPrompt,
+  makeRevisionPrompt,
+  acceptByReview,
+  acceptByQuorum,
+  buildReviewSchedule,
+  pickBest,
+  runConsensus,
+} = require("../lib/consensus");
+const { parseSse, eventNames } = require("./helpers/sse");
+
+const accept = {
+  decision: "ACCEPT",
+  is_complete: true,
+  has_unsupported_claims: false,
+  has_contradictions: false,
+  issues: [],
+  suggestions: [],
+  confidence: 0.8,
+};
+
+// Collects what runConsensus writes, in place of an HTTP response.
+function fakeRes() {
+  let body = "";
+  return {
+    locals: {},
+    write: (chunk) => (body += chunk),
+    get events() {
+      return parseSse(body);
+    },
+  };
+}
+
+function mockParticipants(...overrides) {
+  return overrides.map((o, i) => ({ id: `m${i + 1}`, name: `Mock ${i + 1}`, provider: "mock", ...o }));
+}
+
+test("looksTruncated flags cut-off endings only", () => {
+  for (const t of ["", "Steps:", "Use A, B and", "Ensure A", "Wait...", "next steps"]) {
+    assert.equal(looksTruncated(t), true, t);
+  }
+  for (const t of ["The answer is 4.", "Done!", "See `x`"]) {
+    assert.equal(looksTruncated(t), false, t);
+  }
+});
+
+test("end token helpers", () => {
+  assert.equal(ensureEndToken("Hi."), "Hi.\nEND_OF_ANSWER");
+  assert.equal(ensureEndToken("Hi.\nEND_OF_ANSWER"), "Hi.\nEND_OF_ANSWER");
+  assert.equal(stripEndToken("Hi.\nEND_OF_ANSWER  "), "Hi.");
+});
+
+test("endTokenFilter hides END_OF_ANSWER split across chunks and restarts on retry", () => {
+  const out = [];
+  const filter = endTokenFilter((delta, info) => out.push([delta, info.reset]));
+  filter("Hello END_OF");
+  filter("_ANSWER trailing");
+  filter("Again", { attempt: 1 });
+  assert.deepEqual(out, [["Hello ", false], ["Again", true]]);
+});
+
+test("prompts carry the question, the rules and the critiques", () => {
+  assert.match(makeSolverPrompt("What is 2+2?", "Claude"), /You are Claude[\s\S]*END_OF_ANSWER[\s\S]*What is 2\+2\?$/);
+
+  const review = makeReviewPrompt("Q?", "x".repeat(20000), "GPT (reviewer)");
+  assert.match(review, /Return ONLY valid JSON/);
+  assert.match(review, /\[TRUNCATED_FOR_REVIEW\]/);
+
+  const revision = makeRevisionPrompt("Q?", "Claude", [
+    { reviewer: "GPT", review: { ...accept, decision: "REVISE", issues: ["Missing step 3"] }, answer: "GPT's answer" },
+  ]);
+  assert.match(revision, /Critique from GPT:[\s\S]*- decision: REVISE[\s\S]*Missing step 3/);
+  assert.match(revision, /\[GPT\]\nGPT's answer/);
+});
+
+test("acceptByReview needs an ACCEPT, clean flags and a finished answer", () => {
+  assert.equal(acceptByReview(accept, "Four.\nEND_OF_ANSWER"), true);
+  assert.equal(acceptByReview(null, "Four.\nEND_OF_ANSWER"), false);
+  assert.equal(acceptByReview({ ...accept, decision: "REVISE" }, "Four.\nEND_OF_ANSWER"), false);
+  assert.equal(acceptByReview({ ...accept, has_contradictions: true }, "Four.\nEND_OF_ANSWER"), false);
+  assert.equal(acceptByReview(accept, "Four."), false);
+  assert.equal(acceptByReview(accept, "It depends on size and\nEND_OF_ANSWER"), false);
+  assert.equal(acceptByReview(accept, "Four.\nEND_OF_ANSWER", { ok: true }), true);
+  assert.equal(acceptByReview(accept, "Four.\nEND_OF_ANSWER", { ok: false }), false);
+});
+
+test("acceptByQuorum counts passing reviews against the quorum", () => {
+  const raw = "Four.\nEND_OF_ANSWER";
+  const revise = { ...accept, decision: "REVISE" };
+  assert.deepEqual(acceptByQuorum([accept, revise], raw, "majority"), { accepted: false, votes: 1, needed: 2 });
+  assert.deepEqual(acceptByQuorum([accept, revise], raw, "any"), { accepted: true, votes: 1, needed: 1 });
+  assert.deepEqual(acceptByQuorum([accept, accept, revise], raw, 0.66), { accepted: true, votes: 2, needed: 2 });
+  assert.equal(acceptByQuorum([], raw, "any").accepted, false);
+});
+
+test("buildReviewSchedule pairs reviewers with targets", () => {
+  assert.deepEqual(buildReviewSchedule(2), [[0, 1], [1, 0]]);
+  assert.deepEqual(buildReviewSchedule(3, { schedule: "ring" }), [[0, 1], [1, 2], [2, 0]]);
+  assert.equal(buildReviewSchedule(4, { schedule: "all-pairs" }).length, 12);
+});
+
+test("pickBest prefers confidence, then fewer issues, then length", () => {
+  const a = { id: "a", answer: "short", reviews: [{ ...accept, confidence: 0.9 }] };
+  const b = { id: "b", answer: "much longer answer", reviews: [{ ...accept, confidence: 0.7 }] };
+  const c = { id: "c", answer: "longest answer of them all", reviews: [{ ...accept, confidence: 0.9, issues: ["x"] }] };
+  assert.equal(pickBest([b, c, a]).id, "a");
+  assert.equal(pickBest([b, c, { ...a, grounding: { ok: false } }]).id, "c");
+  assert.equal(pickBest([]), null);
+});
+
+test("runConsensus streams a fast run and resolves with its outcome", async () => {
+  const res = fakeRes();
+  const outcome = await runConsensus("What is 2+2?", {
+    mode: "fast",
+    maxIters: 1,
+    participants: mockParticipants({ mockConfidence: 0.6 }, { mockConfidence: 0.9 }),
+    keys: {},
+  }, res);
+
+  assert.deepEqual(eventNames(res.events), [
+    "participants", "status", "iteration",
+    "step", "step", "answer", "answer",
+    "step", "step", "review", "review",
+    "consensus",
+  ]);
+  assert.equal(outcome.event, "consensus");
+  // m2's answer is reviewed by m1 (confidence 0.6), m1's by m2 (0.9).
+  assert.equal(outcome.data.winner, "m1");
+  assert.equal(outcome.data.totalCalls, 4);
+  assert.deepEqual(res.events.at(-1).data, outcome.data);
+});
+
+test("runConsensus falls back after max iterations without consensus", async () => {
+  const res = fakeRes();
+  const outcome = await runConsensus("What is 2+2?", {
+    mode: "robust",
+    maxIters: 2,
+    participants: mockParticipants({ mockReview: { decision: "REVISE" } }, { mockReview: { decision: "REVISE" } }),
+    keys: {},
+    convergence: { enabled: false },
+  }, res);
+  assert.equal(outcome.event, "fallback");
+  assert.equal(outcome.data.reason, "max_iterations");
+  assert.equal(res.events.filter((e) => e.event === "verdict").length, 2);
+});
+
+test("runConsensus reports the best answer so far when cancelled", async () => {
+  const controller = new AbortController();
+  const res = fakeRes();
+  const run = runConsensus("Q?", {
+    mode: "robust",
+    maxIters: 3,
+    participants: mockParticipants({ mockDelayMs: 50 }, { mockDelayMs: 50 }),
+    keys: {},
+    signal: controller.signal,
+  }, res);
+  setTimeout(() => controller.abort("stop"), 20);
+  const outcome = await run;
+  assert.equal(outcome.event, "cancelled");
+  assert.equal(outcome.data.reason, "stop");
+});
+
+test("calls queued behind a participant's limiter don't start once the budget is spent", async () => {
+  const res = fakeRes();
+  // Concurrency 1: each reviewer's second review waits for its first, which
+  // ends after the 0.3 s cap.
+  const outcome = await runConsensus("Q?", {
+    mode: "fast",
+    maxIters: 1,
+    participants: mockParticipants(...[1, 2, 3].map(() => ({ concurrency: 1, mockDelayMs: 200 }))),
+    keys: {},
+    budget: { maxSeconds: 0.3 },
+  }, res);
+  assert.equal(outcome.event, "fallback");
+  assert.equal(outcome.data.reason, "budget_exceeded");
+  assert.equal(outcome.data.totalCalls, 6);
+  assert.equal(res.events.filter((e) => e.event === "review").length, 3);
+});
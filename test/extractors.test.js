@@ -0,0 +1,176 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const JSZip = require("jszip");
+
+// OCR without Tesseract, whatever the machine has installed.
+process.env.TESSERACT_PATH = "/nonexistent/tesseract";
+const { extract, expandZip, htmlToText } = require("../lib/extractors");
+const { parseFiles, buildQuery } = require("../lib/files");
+
+async function zipOf(parts) {
+  const zip = new JSZip();
+  for (const [name, content] of Object.entries(parts)) zip.file(name, content);
+  return zip.generateAsync({ type: "nodebuffer" });
+}
+
+const rels = (targets) => `<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${
+  targets.map(([id, type, target]) => `<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/${type}" Target="${target}"/>`).join("")}</Relationships>`;
+
+const NS = "xmlns=\"http://schemas.openxmlformats.org/spreadsheetml/2006/main\" xmlns:r=\"http://schemas.openxmlformats.org/officeDocument/2006/relationships\"";
+
+function xlsx() {
+  return zipOf({
+    "xl/workbook.xml": `<workbook ${NS}><sheets><sheet name="Sales" sheetId="1" r:id="rId1"/><sheet name="Notes" sheetId="2" state="hidden" r:id="rId2"/></sheets></workbook>`,
+    "xl/_rels/workbook.xml.rels": rels([["rId1", "worksheet", "worksheets/sheet1.xml"], ["rId2", "worksheet", "worksheets/sheet2.xml"]]),
+    "xl/sharedStrings.xml": `<sst ${NS}><si><t>Region</t></si><si><t>Revenue</t></si><si><r><t>North</t></r><r><t> | East</t></r></si></sst>`,
+    "xl/worksheets/sheet1.xml": `<worksheet ${NS}><sheetData>
+      <row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>
+      <row r="2"><c r="A2" t="s"><v>2</v></c><c r="C2" t="b"><v>1</v></c></row>
+      <row r="3"><c r="B3"><v>1250.5</v></c></row>
+    </sheetData></worksheet>`,
+    "xl/worksheets/sheet2.xml": `<worksheet ${NS}><sheetData/></worksheet>`,
+  });
+}
+
+function pptx() {
+  const p = "xmlns:a=\"http://schemas.openxmlformats.org/drawingml/2006/main\" xmlns:p=\"http://schemas.openxmlformats.org/presentationml/2006/main\" xmlns:r=\"http://schemas.openxmlformats.org/officeDocument/2006/relationships\"";
+  const slide = (...paras) => `<p:sld ${p}><p:cSld><p:spTree><p:sp><p:txBody>${
+    paras.map((runs) => `<a:p>${runs.map((t) => `<a:r><a:t>${t}</a:t></a:r>`).join("")}</a:p>`).join("")}</p:txBody></p:sp></p:spTree></p:cSld></p:sld>`;
+  return zipOf({
+    // Presentation order, not file names, decides the slide numbers.
+    "ppt/presentation.xml": `<p:presentation ${p}><p:sldIdLst><p:sldId id="256" r:id="rId3"/><p:sldId id="257" r:id="rId2"/></p:sldIdLst></p:presentation>`,
+    "ppt/_rels/presentation.xml.rels": rels([["rId2", "slide", "slides/slide1.xml"], ["rId3", "slide", "slides/slide2.xml"]]),
+    "ppt/slides/slide2.xml": slide(["Quarterly ", "review"], ["Revenue up 12%"]),
+    "ppt/slides/_rels/slide2.xml.rels": rels([["rId1", "notesSlide", "../notesSlides/notesSlide1.xml"]]),
+    "ppt/notesSlides/notesSlide1.xml": slide(["Mention the churn numbers"], ["1"]).replace(/p:sld\b/g, "p:notes"),
+    "ppt/slides/slide1.xml": slide(),
+  });
+}
+
+test("XLSX sheets become markdown tables with sheet names and row counts", async () => {
+  const { content, warnings, meta } = await extract(await xlsx(), "sales.xlsx");
+  assert.equal(content, [
+    "## Sheet: Sales",
+    "",
+    "| Region | Revenue |  |",
+    "| --- | --- | --- |",
+    "| North \\| East |  | TRUE |",
+    "|  | 1250.5 |  |",
+  ].join("\n"));
+  assert.deepEqual(meta, { sheets: ["Sales", "Notes"], rows: { Sales: 2, Notes: 0 } });
+  assert.deepEqual(warnings, ["Sheet \"Notes\" is hidden in Excel.", "Sheet \"Notes\" is empty."]);
+});
+
+test("CSV, PPTX, HTML and images each report their text, metadata and warnings", async () => {
+  const csv = await extract(Buffer.from("name;note\n\"Smith; J\";\"said \"\"hi\"\"\"\nLee\n"), "people.csv");
+  assert.equal(csv.content, "| name | note |\n| --- | --- |\n| Smith; J | said \"hi\" |\n| Lee |  |");
+  assert.deepEqual(csv.meta, { rows: 2, columns: 2 });
+  assert.deepEqual(csv.warnings, ["1 row(s) have a different number of columns than the header."]);
+
+  const deck = await extract(await pptx(), "deck.pptx");
+  assert.equal(deck.content, "## Slide 1\nQuarterly review\nRevenue up 12%\n\nSpeaker notes:\nMention the churn numbers\n\n## Slide 2");
+  assert.deepEqual(deck.meta, { slides: 2 });
+  assert.deepEqual(deck.warnings, ["Slide 2 has no text (images or charts only?)."]);
+
+  const page = await extract(Buffer.from(`<html><head><title>Fees &amp; Terms</title><style>p{color:red}</style></head>
+    <body><script>track()</script><h2>Fees</h2><p>Late fee:&nbsp;5&#37;</p><ul><li>Monthly</li><li>Yearly</li></ul></body></html>`), "terms.htm");
+  assert.equal(page.content, "## Fees\n\nLate fee: 5%\n\n- Monthly\n- Yearly");
+  assert.deepEqual(page.meta, { title: "Fees & Terms" });
+  assert.equal(htmlToText("<table><tr><td>a</td><td>b</td></tr></table>"), "a | b |");
+
+  // A 3x2 PNG header is enough for its size; without Tesseract there is no text.
+  const png = Buffer.alloc(33);
+  png.writeUInt32BE(0x89504e47, 0);
+  png.writeUInt32BE(3, 16);
+  png.writeUInt32BE(2, 20);
+  const scan = await extract(png, "scan.png");
+  assert.equal(scan.content, "");
+  assert.deepEqual(scan.meta, { width: 3, height: 2, ocr: null });
+  assert.match(scan.warnings[0], /OCR is not available/);
+});
+
+test("a ZIP is expanded into its supported files, which inherit its include", async () => {
+  const archive = await zipOf({
+    "report/summary.md": "Revenue rose 12% in Q3.",
+    "report/sales.xlsx": await xlsx(),
+    "report/logo.svg": "<svg/>",
+    "old.zip": "PK",
+    "__MACOSX/report/._summary.md": "junk",
+  });
+  const parsed = await parseFiles([{ name: "q3.zip", buffer: archive }, { name: "skip.zip", buffer: archive, include: false }]);
+  assert.deepEqual(parsed.slice(0, 3).map((pf) => pf.name), ["q3.zip", "q3.zip/report/summary.md", "q3.zip/report/sales.xlsx"]);
+
+  const { fullQuery, included, report } = buildQuery("How did Q3 go?", parsed);
+  assert.deepEqual(included.map((pf) => pf.name), ["q3.zip/report/summary.md", "q3.zip/report/sales.xlsx"]);
+  assert.match(fullQuery, /### File: q3\.zip\/report\/sales\.xlsx \(xlsx\)\n```\n## Sheet: Sales/);
+  assert.deepEqual(report[0], {
+    name: "q3.zip", type: "zip", chars: 0, status: "expanded", reason: "2 of 4 files extracted",
+    warnings: ["Not extracted (unsupported type or nested archive): report/logo.svg, old.zip"],
+    meta: { entries: 4, extracted: 2 },
+  });
+  assert.deepEqual(report[2].meta, { sheets: ["Sales", "Notes"], rows: { Sales: 2, Notes: 0 } });
+  assert.deepEqual(report.slice(3).map((r) => [r.name, r.status, r.reason]), [
+    ["skip.zip", "expanded", "2 of 4 files extracted"],
+    ["skip.zip/report/summary.md", "skipped", "Excluded"],
+    ["skip.zip/report/sales.xlsx", "skipped", "Excluded"],
+  ]);
+
+  const [broken] = await parseFiles([{ name: "bad.zip", buffer: Buffer.from("not a zip") }]);
+  assert.equal(broken.type, "error");
+});
+
+test("a ZIP entry is cut off at the size limit whatever its header claims", async () => {
+  const archive = await new JSZip()
+    .file("notes.md", "Small.")
+    .file("bomb.txt", Buffer.alloc(60 * 1024 * 1024))
+    .generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+  // Both headers of bomb.txt claim 1000 bytes uncompressed.
+  for (const [signature, sizeAt, nameAt] of [[0x04034b50, 22, 30], [0x02014b50, 24, 46]]) {
+    for (let i = 0; i < archive.length - 4; i++) {
+      if (archive.readUInt32LE(i) !== signature) continue;
+      if (archive.toString("utf-8", i + nameAt, i + nameAt + 8) === "bomb.txt") archive.writeUInt32LE(1000, i + sizeAt);
+    }
+  }
+  const zip = await expandZip(archive, () => true);
+  assert.deepEqual(zip.entries.map((e) => e.name), ["notes.md"]);
+  assert.deepEqual(zip.warnings, ["Stopped at 50 MB uncompressed."]);
+});
+
+test("an office file whose parts inflate past the size limit is rejected", async () => {
+  const padding = " ".repeat(30 * 1024 * 1024);
+  const workbook = await new JSZip()
+    .file("xl/workbook.xml", `<workbook ${NS}><sheets><sheet name="A" sheetId="1" r:id="rId1"/><sheet name="B" sheetId="2" r:id="rId2"/></sheets></workbook>`)
+    .file("xl/_rels/workbook.xml.rels", rels([["rId1", "worksheet", "worksheets/sheet1.xml"], ["rId2", "worksheet", "worksheets/sheet2.xml"]]))
+    // Each sheet is under the limit; together they are over it.
+    .file("xl/worksheets/sheet1.xml", `<worksheet ${NS}><sheetData/>${padding}</worksheet>`)
+    .file("xl/worksheets/sheet2.xml", `<worksheet ${NS}><sheetData/>${padding}</worksheet>`)
+    .generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+  await assert.rejects(extract(workbook, "big.xlsx"), /Larger than 50 MB uncompressed/);
+  const document = await new JSZip()
+    .file("word/document.xml", "<w:document/>")
+    .file("word/media/image1.png", Buffer.alloc(60 * 1024 * 1024))
+    .generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+  await assert.rejects(extract(document, "big.docx"), /Larger than 50 MB uncompressed/);
+});
+
+test("XLSX cells past column XFD are ignored and wide sheets keep fewer rows", async () => {
+  const rows = Array.from({ length: 49 }, (_, i) => `<row r="${i + 2}"><c r="A${i + 2}"><v>${i}</v></c></row>`).join("");
+  const workbook = await zipOf({
+    "xl/workbook.xml": `<workbook ${NS}><sheets><sheet name="Wide" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    "xl/_rels/workbook.xml.rels": rels([["rId1", "worksheet", "worksheets/sheet1.xml"]]),
+    "xl/worksheets/sheet1.xml": `<worksheet ${NS}><sheetData>
+      <row r="1"><c r="A1" t="inlineStr"><is><t>Name</t></is></c><c r="XFD1"><v>1</v></c><c r="XFE1"><v>2</v></c><c r="ZZZZ1"><v>3</v></c></row>
+      ${rows}
+    </sheetData></worksheet>`,
+  });
+  const { content, warnings, meta } = await extract(workbook, "wide.xlsx");
+  assert.deepEqual(meta.rows, { Wide: 49 });
+  assert.deepEqual(warnings, [
+    "Sheet \"Wide\": 2 cell(s) with a reference past column XFD were ignored.",
+    "Sheet \"Wide\": only the first 11 of 49 rows were kept.",
+  ]);
+  const lines = content.split("\n").slice(2);
+  assert.equal(lines.length, 13);
+  assert.ok(lines[0].startsWith("| Name |") && lines[0].endsWith("| 1 |"));
+  assert.ok(lines[12].startsWith("| 10 |"));
+});
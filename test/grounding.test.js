@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeLlm, reply } = require("./helpers/fake-llm");
+const { postConsensus } = require("./helpers/sse");
+const { KEYS, fakeParticipants, startApp } = require("./helpers/app");
+const { extractClaims, createVerifier } = require("../lib/grounding");
+const { DEFAULT_GROUNDING } = require("../lib/config");
+
+const NOTES = "The launch is on March 3, 2025. The marketing budget is $40,000.\nCEO Jane Doe approved it in 2024 and said \"we ship when it is ready\" at the offsite.";
+
+const fake = createFakeLlm();
+let app;
+
+test.before(async () => {
+  app = await startApp({ participants: fakeParticipants(await fake.start()) });
+});
+
+test.afterEach(() => fake.reset());
+
+test.after(async () => {
+  await app.close();
+  await fake.close();
+});
+
+test("claims are numbers, dates, quotes and names outside code, citations and assumptions", () => {
+  const claims = extractClaims([
+    "## Launch Plan",
+    "",
+    "Jane Doe set March 3 and a 40k budget across 3 teams; she said \"we ship when it is ready\".",
+    "`port 8080` [notes.txt §12] [ASSUMPTION: 12 weeks]",
+  ].join("\n"));
+  assert.deepEqual(claims.map((c) => [c.kind, c.text]), [
+    ["name", "Jane Doe"],
+    ["date", "March 3"],
+    ["number", "40k"],
+    ["quote", "we ship when it is ready"],
+  ]);
+});
+
+test("each claim is supported, unsupported or contradicted, with its excerpt", () => {
+  const verify = createVerifier([{ name: "request", content: "When is the launch?" }, { name: "notes.txt", content: NOTES }]);
+  const result = verify("The launch is on March 5, 2025 with a marketing budget of 40k. Jane Doe approved it in 2024. Bob Smith will hire 25 people.");
+  assert.deepEqual(result.claims.map((c) => [c.text, c.status, c.source]), [
+    ["March 5, 2025", "contradicted", "notes.txt"],
+    ["40k", "supported", "notes.txt"],
+    ["Jane Doe", "supported", "notes.txt"],
+    ["2024", "supported", "notes.txt"],
+    ["Bob Smith", "unsupported", null],
+    ["25", "unsupported", null],
+  ]);
+  assert.equal(result.claims[0].excerpt, "The launch is on March 3, 2025.");
+  assert.deepEqual([result.supported, result.unsupported, result.contradicted, result.ok], [3, 2, 1, false]);
+
+  // Unsupported names never block; unsupported numbers only with blockUnsupported.
+  const strict = createVerifier([{ name: "notes.txt", content: NOTES }], { blockUnsupported: true });
+  assert.equal(strict("Bob Smith will hire 25 people.").ok, false);
+  assert.equal(strict("Bob Smith agreed.").ok, true);
+  assert.equal(verify("Bob Smith will hire 25 people.").ok, true);
+});
+
+test("by default a derived number or a common fact does not fail the answer", () => {
+  const verify = createVerifier([{ name: "sales.csv", content: "quarter,month,revenue\nQ1,Jan,1200\nQ1,Feb,1300\nQ1,Mar,1500" }], DEFAULT_GROUNDING);
+  const derived = verify("The total Q1 revenue is 4000 (1200 + 1300 + 1500).");
+  assert.deepEqual(derived.claims.map((c) => [c.text, c.status]), [["4000", "unsupported"], ["1200", "supported"], ["1300", "supported"], ["1500", "supported"]]);
+  assert.equal(derived.ok, true);
+  const common = verify("Node 18 follows IEEE 754, so 0.1 + 0.2 is 0.30000000000000004.");
+  assert.ok(common.unsupported > 0);
+  assert.equal(common.ok, true);
+});
+
+test("a contradicted answer is revised with the fact check, and the final answer carries its claims", async () => {
+  fake.script(({ kind, n, model }) => {
+    if (kind === "solve" && n === 1 && model === "claude-test") return reply.answer("The budget for marketing is $50,000.");
+    if (kind === "solve") return reply.answer("The marketing budget is $40,000.");
+  });
+  const { events } = await postConsensus(app.baseUrl, {
+    ...KEYS, question: "What is the marketing budget?", mode: "robust", iterations: 3, convergence: "off", useFiles: "true",
+    files: new File([NOTES], "notes.txt"),
+  });
+
+  const checks = events.filter((e) => e.event === "grounding").map((e) => [e.data.participant, e.data.ok]);
+  assert.deepEqual(checks.slice(0, 2).sort(), [["claude", false], ["gpt", true]]);
+  const verdict = events.find((e) => e.event === "verdict").data.verdicts.find((v) => v.participant === "claude");
+  assert.deepEqual([verdict.accepted, verdict.grounded], [false, false]);
+
+  const revision = fake.requests.find((r) => r.kind === "solve" && r.n === 2 && r.model === "claude-test").prompt;
+  assert.match(revision, /Fact check of your answer against the attached files:\n- "\$50,000" contradicts notes\.txt: "The marketing budget is \$40,000\."/);
+
+  const final = events.at(-1);
+  assert.equal(final.event, "consensus");
+  assert.deepEqual(final.data.grounding.claims.map((c) => [c.text, c.status]), [["$40,000", "supported"]]);
+});
+
+test("without attachments nothing is checked", async () => {
+  const { events } = await postConsensus(app.baseUrl, { ...KEYS, question: "What is 12 * 12?", mode: "fast" });
+  assert.equal(events.some((e) => e.event === "grounding"), false);
+  assert.equal(events.at(-1).data.grounding, undefined);
+});
@@ -0,0 +1,55 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Each test file gets its own run history, removed when the process exits.
+// Set before the server is loaded: lib/history.js reads RUNS_DIR once.
+const runsDir = fs.mkdtempSync(path.join(os.tmpdir(), "consensus-runs-"));
+process.env.RUNS_DIR = runsDir;
+process.on("exit", () => fs.rmSync(runsDir, { recursive: true, force: true }));
+
+const { createApp } = require("../../server");
+const { DEFAULT_REVIEW, DEFAULT_CONVERGENCE, DEFAULT_GROUNDING, DEFAULT_PRICES, DEFAULT_JOBS, DEFAULT_AUTH, DEFAULT_SESSIONS } = require("../../lib/config");
+const { createVault } = require("../../lib/vault");
+
+const KEYS = { claude_key: "sk-ant-test-key", openai_key: "sk-openai-test-key" };
+
+// The default Claude + GPT pair, pointed at a running fake LLM server.
+function fakeParticipants(url) {
+  return [
+    { id: "claude", name: "Claude", provider: "anthropic", model: "claude-test", endpoint: `${url}/v1/messages`, maxRetries: 2 },
+    { id: "gpt", name: "GPT", provider: "openai-responses", model: "gpt-test", endpoint: `${url}/v1/responses`, maxRetries: 2 },
+  ];
+}
+
+// Starts createApp() on a free port. Returns { baseUrl, close }. Unless the
+// test passes its own settings, jobs and sessions go to a fresh temporary
+// directory (runs always do, see above), auth is off and the server has no
+// keys of its own.
+async function startApp(settings) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "consensus-data-"));
+  const app = createApp({
+    reviewDefaults: DEFAULT_REVIEW,
+    convergenceDefaults: DEFAULT_CONVERGENCE,
+    groundingDefaults: DEFAULT_GROUNDING,
+    prices: DEFAULT_PRICES,
+    jobSettings: { ...DEFAULT_JOBS, dir: path.join(dataDir, "jobs") },
+    sessionSettings: { ...DEFAULT_SESSIONS, dir: path.join(dataDir, "sessions") },
+    authSettings: DEFAULT_AUTH,
+    vault: createVault({ file: null, env: {} }),
+    ...settings,
+  });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close() {
+      server.closeAllConnections?.();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = { KEYS, fakeParticipants, startApp };
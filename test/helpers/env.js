@@ -0,0 +1,3 @@
+// Loaded with --require by `npm test`, before any test file: quiet logs
+// (see lib/log.js) whatever the platform's shell.
+process.env.NODE_ENV = process.env.NODE_ENV || "test";
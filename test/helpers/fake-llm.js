@@ -0,0 +1,159 @@
+const http = require("http");
+
+// In-process stand-in for the Anthropic Messages and OpenAI Responses APIs.
+// Every request is passed to the current script as
+//   { api: "anthropic" | "openai", kind: "solve" | "review" | "summary", model, prompt, body, n }
+// (n counts calls per model+kind) and the script returns a reply built with
+// the helpers below. Streaming is used whenever the request asks for it.
+const reply = {
+  text: (text) => ({ text }),
+  answer: (text) => ({ text: `${text}\nEND_OF_ANSWER` }),
+  // Cut off mid-sentence without the end token, like a max_tokens stop.
+  truncated: (text = "The answer covers the first step and") => ({ text, stopReason: "max_tokens" }),
+  review: (fields = {}) => ({
+    json: {
+      decision: "ACCEPT",
+      is_complete: true,
+      has_unsupported_claims: false,
+      has_contradictions: false,
+      issues: [],
+      suggestions: [],
+      confidence: 0.8,
+      ...fields,
+    },
+  }),
+  accept: (fields = {}) => reply.review(fields),
+  revise: (fields = {}) =>
+    reply.review({ decision: "REVISE", is_complete: false, issues: ["Incomplete."], confidence: 0.4, ...fields }),
+  malformed: (text = "Sure! Here is my review: {\"decision\": \"ACCEPT\", \"is_complete\": tru") => ({ text }),
+  error: (status, headers = {}) => ({ status, headers }),
+};
+
+function defaultScript({ kind, model }) {
+  if (kind === "summary") return reply.text(`Summary from ${model}.`);
+  return kind === "review" ? reply.accept() : reply.answer(`Answer from ${model}.`);
+}
+
+function promptOf(body) {
+  if (typeof body.input === "string") return body.input;
+  return (body.messages || []).map((m) => m.content).join("\n\n");
+}
+
+function sse(res, events) {
+  res.writeHead(200, { "Content-Type": "text/event-stream" });
+  for (const [event, data] of events) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  res.end();
+}
+
+function chunks(text) {
+  return text.match(/\S+\s*|\s+/g) || [];
+}
+
+function sendAnthropic(res, body, r) {
+  const usage = { input_tokens: Math.ceil(promptOf(body).length / 4) };
+  const forcedTool = body.tools?.length && r.json;
+  let text = r.json && !forcedTool ? JSON.stringify(r.json) : r.text || "";
+  // Like the real API, a matched stop sequence is not part of the text.
+  const stop = (body.stop_sequences || []).find((s) => text.includes(s));
+  if (stop) text = text.slice(0, text.indexOf(stop));
+  const outputTokens = Math.ceil((forcedTool ? JSON.stringify(r.json) : text).length / 4);
+  const content = forcedTool
+    ? [{ type: "tool_use", id: "toolu_fake", name: body.tools[0].name, input: r.json }]
+    : [{ type: "text", text }];
+  const stopReason = forcedTool ? "tool_use" : stop ? "stop_sequence" : r.stopReason || "end_turn";
+
+  if (!body.stream) {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({
+      type: "message",
+      role: "assistant",
+      content,
+      stop_reason: stopReason,
+      usage: { ...usage, output_tokens: outputTokens },
+    }));
+  }
+  sse(res, [
+    ["message_start", { type: "message_start", message: { usage: { ...usage, output_tokens: 1 } } }],
+    ["content_block_start", { type: "content_block_start", index: 0, content_block: { type: "text", text: "" } }],
+    ...chunks(text).map((t) => [
+      "content_block_delta",
+      { type: "content_block_delta", index: 0, delta: { type: "text_delta", text: t } },
+    ]),
+    ["content_block_stop", { type: "content_block_stop", index: 0 }],
+    ["message_delta", { type: "message_delta", delta: { stop_reason: stopReason }, usage: { output_tokens: outputTokens } }],
+    ["message_stop", { type: "message_stop" }],
+  ]);
+}
+
+function sendOpenAi(res, body, r) {
+  const text = r.json ? JSON.stringify(r.json) : r.text || "";
+  const response = {
+    status: r.stopReason === "max_tokens" ? "incomplete" : "completed",
+    output: [{ type: "message", content: [{ type: "output_text", text }] }],
+    usage: { input_tokens: Math.ceil(promptOf(body).length / 4), output_tokens: Math.ceil(text.length / 4) },
+  };
+  if (!body.stream) {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify(response));
+  }
+  sse(res, [
+    ...chunks(text).map((t) => ["response.output_text.delta", { type: "response.output_text.delta", delta: t }]),
+    [`response.${response.status}`, { type: `response.${response.status}`, response }],
+  ]);
+}
+
+function createFakeLlm() {
+  let script = defaultScript;
+  const counts = new Map();
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => (raw += c));
+    req.on("end", async () => {
+      const body = JSON.parse(raw || "{}");
+      const api = req.url.startsWith("/v1/messages") ? "anthropic" : "openai";
+      const prompt = promptOf(body);
+      const kind = prompt.includes("Reviewing another AI's answer") ? "review"
+        : prompt.startsWith("Summarize this conversation") ? "summary" : "solve";
+      const key = `${body.model}:${kind}`;
+      const n = (counts.get(key) || 0) + 1;
+      counts.set(key, n);
+      const call = { api, kind, model: body.model, prompt, body, n, headers: req.headers };
+      requests.push(call);
+
+      const r = (await script(call)) || defaultScript(call);
+      if (r.status) {
+        res.writeHead(r.status, { "Content-Type": "application/json", ...r.headers });
+        return res.end(JSON.stringify({ error: { type: "fake_error", message: `Fake ${r.status}` } }));
+      }
+      if (api === "anthropic") sendAnthropic(res, body, r);
+      else sendOpenAi(res, body, r);
+    });
+  });
+
+  return {
+    requests,
+    // fn(call) -> reply; return undefined to fall back to the default
+    // (an END_OF_ANSWER-terminated answer, or an ACCEPT review).
+    script(fn) {
+      script = fn;
+    },
+    reset() {
+      script = defaultScript;
+      counts.clear();
+      requests.length = 0;
+    },
+    async start() {
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      this.url = `http://127.0.0.1:${server.address().port}`;
+      return this.url;
+    },
+    close() {
+      server.closeAllConnections?.();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = { createFakeLlm, reply };
@@ -0,0 +1,35 @@
+// Parses a text/event-stream body into [{ event, data }] with data JSON-decoded.
+function parseSse(body) {
+  return body
+    .split("\n\n")
+    .filter((block) => block.trim())
+    .map((block) => {
+      let event = "message";
+      let data = "";
+      for (const line of block.split("\n")) {
+        if (line.startsWith("event: ")) event = line.slice(7);
+        else if (line.startsWith("data: ")) data += line.slice(6);
+      }
+      return { event, data: JSON.parse(data) };
+    });
+}
+
+// POSTs multipart form fields to /api/consensus and collects the whole stream.
+// A field may be a File (or an array of them) to upload.
+async function postConsensus(baseUrl, fields, headers = {}) {
+  const form = new FormData();
+  for (const [k, v] of Object.entries(fields)) {
+    for (const x of [].concat(v)) x instanceof File ? form.append(k, x) : form.append(k, String(x));
+  }
+  const resp = await fetch(`${baseUrl}/api/consensus`, { method: "POST", body: form, headers });
+  const body = await resp.text();
+  const isSse = (resp.headers.get("content-type") || "").includes("text/event-stream");
+  return { status: resp.status, events: isSse ? parseSse(body) : [], json: isSse ? null : JSON.parse(body) };
+}
+
+// Event names in order, without the answer_delta preview events.
+function eventNames(events) {
+  return events.map((e) => e.event).filter((e) => e !== "answer_delta");
+}
+
+module.exports = { parseSse, postConsensus, eventNames };
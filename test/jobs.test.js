@@ -0,0 +1,261 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const dns = require("dns");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "consensus-jobs-test-"));
+
+const { createFakeLlm, reply } = require("./helpers/fake-llm");
+const { KEYS, fakeParticipants, startApp } = require("./helpers/app");
+const { DEFAULT_JOBS } = require("../lib/config");
+const { createJobQueue, signWebhook, webhookLookup } = require("../lib/jobs");
+
+const SECRET = "test-webhook-secret";
+const fake = createFakeLlm();
+let app;
+
+// Webhook receiver: answers with the queued statuses, then 200.
+const hooks = { received: [], statuses: [] };
+const receiver = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (c) => (body += c));
+  req.on("end", () => {
+    hooks.received.push({ headers: req.headers, body });
+    res.writeHead(hooks.statuses.shift() || 200);
+    res.end();
+  });
+});
+
+test.before(async () => {
+  const jobsDir = path.join(tmp, "jobs");
+  // Left over from a previous process: it can't run without its keys.
+  fs.mkdirSync(jobsDir);
+  fs.writeFileSync(path.join(jobsDir, "orphan.json"), JSON.stringify({
+    id: "orphan",
+    status: "running",
+    createdAt: "2020-01-01T00:00:00.000Z",
+    progress: {},
+    webhook: null,
+    request: { question: "Left behind", fullQuery: "Left behind", files: [], settings: { mode: "fast", maxIters: 1 } },
+  }));
+  app = await startApp({
+    participants: fakeParticipants(await fake.start()),
+    // The receiver below runs on loopback, which webhooks may only reach when allowed.
+    jobSettings: { ...DEFAULT_JOBS, concurrency: 1, webhookSecret: SECRET, webhookRetryDelayMs: 10, webhookAllowedHosts: ["127.0.0.1"], dir: jobsDir },
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+});
+
+test.afterEach(() => fake.reset());
+
+test.after(async () => {
+  await app.close();
+  await fake.close();
+  await new Promise((resolve) => receiver.close(resolve));
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+async function postJob(fields) {
+  const form = new FormData();
+  for (const [k, v] of Object.entries(fields)) form.append(k, String(v));
+  const resp = await fetch(`${app.baseUrl}/api/jobs`, { method: "POST", body: form });
+  return { status: resp.status, json: await resp.json() };
+}
+
+const getJob = async (id) => (await fetch(`${app.baseUrl}/api/jobs/${id}`)).json();
+
+async function waitFor(check, ms = 5000) {
+  const deadline = Date.now() + ms;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("timed out");
+    await new Promise((r) => setTimeout(r, 20));
+  }
+}
+
+const finished = (id) => waitFor(async () => {
+  const job = await getJob(id);
+  return ["completed", "failed", "cancelled"].includes(job.status) && job;
+});
+
+test("a job recovered without its keys fails and asks for a resubmit", async () => {
+  const job = await finished("orphan");
+  assert.equal(job.status, "failed");
+  assert.equal(job.restarts, 1);
+  assert.match(job.error, /resubmit/);
+});
+
+test("a job runs in the background and keeps the result", async () => {
+  const { status, json } = await postJob({ ...KEYS, question: "What is 2+2?", mode: "robust", iterations: 3 });
+  assert.equal(status, 202);
+  assert.ok(json.id);
+
+  const job = await finished(json.id);
+  assert.equal(job.status, "completed");
+  assert.equal(job.question, "What is 2+2?");
+  assert.equal(job.request, undefined);
+  assert.equal(job.result.outcome, "consensus");
+  assert.equal(job.result.id, job.runId);
+  assert.deepEqual(
+    { ...job.progress, lastStep: undefined },
+    { iteration: 1, maxIterations: 3, phase: "reviewing", lastStep: undefined, answers: 2, reviews: 2 },
+  );
+
+  const run = await (await fetch(`${app.baseUrl}/api/runs/${job.runId}`)).json();
+  assert.equal(run.status, "completed");
+  const { jobs } = await (await fetch(`${app.baseUrl}/api/jobs`)).json();
+  assert.equal(jobs[0].id, job.id);
+  assert.equal(jobs[0].outcome, "consensus");
+});
+
+test("jobs wait for a free worker and can be cancelled", async () => {
+  let release;
+  const gate = new Promise((r) => (release = r));
+  fake.script(async ({ kind }) => (kind === "solve" ? gate.then(() => undefined) : undefined));
+
+  const first = (await postJob({ ...KEYS, question: "First", mode: "fast" })).json;
+  const second = (await postJob({ ...KEYS, question: "Second", mode: "fast" })).json;
+  const third = (await postJob({ ...KEYS, question: "Third", mode: "fast" })).json;
+  assert.deepEqual([first.status, second.status, third.status], ["running", "queued", "queued"]);
+  assert.deepEqual([second.position, third.position], [1, 2]);
+
+  const cancel = await fetch(`${app.baseUrl}/api/jobs/${second.id}/cancel`, { method: "POST" });
+  assert.equal(cancel.status, 202);
+  assert.equal((await getJob(second.id)).status, "cancelled");
+  assert.equal((await getJob(third.id)).position, 1);
+
+  release();
+  assert.equal((await finished(first.id)).status, "completed");
+  assert.equal((await finished(third.id)).status, "completed");
+  assert.equal(fake.requests.filter((r) => r.prompt.includes("Second")).length, 0);
+});
+
+test("the webhook gets the signed final payload, with retries", async () => {
+  fake.script(({ kind }) => (kind === "solve" ? reply.error(401) : undefined));
+  hooks.statuses = [500];
+  const url = `http://127.0.0.1:${receiver.address().port}/hook`;
+  const { json } = await postJob({ ...KEYS, question: "What is 2+2?", mode: "fast", webhook_url: url });
+
+  const job = await waitFor(async () => {
+    const j = await getJob(json.id);
+    return j.webhook.deliveredAt && j;
+  });
+  assert.equal(job.status, "failed");
+  assert.match(job.error, /401/);
+  assert.equal(job.webhook.attempts, 2);
+  assert.equal(hooks.received.length, 2);
+
+  const { headers, body } = hooks.received[1];
+  assert.equal(headers["x-consensus-event"], "job.failed");
+  assert.equal(headers["x-consensus-signature"], `sha256=${signWebhook(SECRET, headers["x-consensus-timestamp"], body)}`);
+  const payload = JSON.parse(body);
+  assert.equal(payload.event, "job.failed");
+  assert.equal(payload.job.id, json.id);
+});
+
+test("bad jobs are rejected up front", async () => {
+  const cases = [
+    [{ question: "Q" }, /Missing API key/],
+    [{ ...KEYS, question: "Q", webhook_url: "ftp://example.com/hook" }, /http\(s\)/],
+    // Internal addresses, unless allowed: cloud metadata, loopback by name and in IPv6, private ranges.
+    ...["http://169.254.169.254/latest/meta-data", "http://localhost:8080/hook", "http://[::1]/hook", "http://[::ffff:127.0.0.2]/", "http://10.0.0.5/hook", "https://192.168.1.20/hook"]
+      .map((url) => [{ ...KEYS, question: "Q", webhook_url: url }, /loopback, private or link-local/]),
+  ];
+  for (const [fields, error] of cases) {
+    const { status, json } = await postJob(fields);
+    assert.equal(status, 400);
+    assert.match(json.error, error);
+  }
+  assert.equal((await fetch(`${app.baseUrl}/api/jobs/nope`)).status, 404);
+});
+
+test("a webhook host that is not allowed is checked again at delivery", async () => {
+  const queue = createJobQueue(
+    { concurrency: 1, webhookSecret: SECRET, webhookRetries: 0, dir: path.join(tmp, "blocked") },
+    async () => ({ outcome: "consensus" }),
+  );
+  const before = hooks.received.length;
+  const job = queue.enqueue({ question: "Q", fullQuery: "Q", files: [], settings: { maxIters: 1 } }, {}, `http://127.0.0.1:${receiver.address().port}/hook`);
+  const done = await waitFor(() => queue.get(job.id).webhook.attempts === 1 && queue.get(job.id));
+  assert.match(done.webhook.lastError, /loopback, private or link-local/);
+  assert.equal(hooks.received.length, before);
+});
+
+test("a webhook host that resolves to an internal address at delivery is refused", async () => {
+  // Public when the job is accepted, then rebound to loopback and cloud metadata in turn.
+  const { lookup, promises: { lookup: lookupAll } } = dns;
+  const served = [];
+  dns.promises.lookup = async () => [{ address: "93.184.216.34", family: 4 }];
+  dns.lookup = (hostname, opts, cb) => {
+    served.push(served.length % 2 ? "169.254.169.254" : "127.0.0.1");
+    cb(null, [{ address: served.at(-1), family: 4 }]);
+  };
+  try {
+    const resolve = (hostname, allowed = []) => new Promise((done) => webhookLookup(allowed)(hostname, {}, (err, addresses) => done(err || addresses)));
+    assert.match((await resolve("hooks.example.com")).message, /loopback, private or link-local/);
+    assert.deepEqual(await resolve("hooks.example.com", ["hooks.example.com"]), [{ address: "169.254.169.254", family: 4 }]);
+
+    const queue = createJobQueue(
+      { concurrency: 1, webhookSecret: SECRET, webhookRetries: 1, webhookRetryDelayMs: 10, dir: path.join(tmp, "rebound") },
+      async () => ({ outcome: "consensus" }),
+    );
+    const before = hooks.received.length;
+    const job = queue.enqueue({ question: "Q", fullQuery: "Q", files: [], settings: { maxIters: 1 } }, {}, `http://hooks.example.com:${receiver.address().port}/hook`);
+    const done = await waitFor(() => queue.get(job.id).webhook.attempts === 2 && queue.get(job.id));
+    assert.deepEqual(served.slice(2), ["127.0.0.1", "169.254.169.254"]);
+    assert.match(done.webhook.lastError, /loopback, private or link-local/);
+    assert.equal(done.webhook.deliveredAt, null);
+    assert.equal(hooks.received.length, before);
+  } finally {
+    dns.lookup = lookup;
+    dns.promises.lookup = lookupAll;
+  }
+});
+
+test("queued and interrupted jobs are picked up again by a new queue", async () => {
+  const dir = path.join(tmp, "restart");
+  const settings = { concurrency: 1, dir };
+  const before = createJobQueue(settings, () => new Promise(() => {}));
+  const request = (question) => ({ question, fullQuery: question, files: [], settings: { maxIters: 1 } });
+  const a = before.enqueue(request("A"), { anthropic: "k" }, null);
+  const b = before.enqueue(request("B"), { anthropic: "k" }, null);
+  assert.deepEqual([a.status, b.status], ["running", "queued"]);
+
+  const ran = [];
+  const after = createJobQueue(settings, async (job, keys) => {
+    ran.push([job.request.question, keys]);
+    return { outcome: "consensus" };
+  });
+  await waitFor(() => after.get(b.id).status === "completed");
+  assert.deepEqual(ran.sort(), [["A", {}], ["B", {}]]);
+  assert.equal(after.get(a.id).restarts, 1);
+  assert.equal(after.get(b.id).restarts, undefined);
+});
+
+test("finished jobs drop their files and are deleted by age and count", async () => {
+  const dir = path.join(tmp, "retention");
+  fs.mkdirSync(dir);
+  const request = (question) => ({ question, fullQuery: `${question}\n\n[file text]`, files: [{ name: "a.txt", content: "file text" }], settings: { maxIters: 1 } });
+  const old = { id: "old", status: "completed", createdAt: "2020-01-01T00:00:00.000Z", finishedAt: "2020-01-01T00:01:00.000Z", request: request("Old") };
+  fs.writeFileSync(path.join(dir, "old.json"), JSON.stringify(old));
+  const file = (id) => path.join(dir, `${id}.json`);
+
+  const queue = createJobQueue({ concurrency: 1, keepDays: 30, keepFinished: 2, dir }, async () => ({ outcome: "consensus" }));
+  assert.equal(queue.get("old"), null);
+  assert.equal(fs.existsSync(file("old")), false);
+
+  const ids = [];
+  for (const question of ["A", "B", "C"]) {
+    const { id } = queue.enqueue(request(question), {}, null);
+    await waitFor(() => queue.get(id).status === "completed");
+    ids.push(id);
+  }
+  assert.deepEqual(queue.list().map((j) => j.question), ["C", "B"]);
+  assert.equal(fs.existsSync(file(ids[0])), false);
+  const stored = JSON.parse(fs.readFileSync(file(ids[2]), "utf-8"));
+  assert.deepEqual(Object.keys(stored.request).sort(), ["question", "settings"]);
+});
@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { configureLogging, createLogger } = require("../lib/log");
+const { createRegistry } = require("../lib/metrics");
+const { createFakeLlm, reply } = require("./helpers/fake-llm");
+const { postConsensus } = require("./helpers/sse");
+const { KEYS, fakeParticipants, startApp } = require("./helpers/app");
+
+const fake = createFakeLlm();
+let app;
+let lines = [];
+
+test.before(async () => {
+  configureLogging({ level: "debug", write: (line) => lines.push(line) });
+  app = await startApp({ participants: fakeParticipants(await fake.start()) });
+});
+
+test.afterEach(() => {
+  fake.reset();
+  lines = [];
+});
+
+test.after(async () => {
+  configureLogging({ level: "silent", write: (line) => process.stdout.write(`${line}\n`) });
+  await app.close();
+  await fake.close();
+});
+
+test("metrics render as Prometheus text and logs keep keys and contents out", () => {
+  const registry = createRegistry();
+  registry.counter("calls_total", "Calls.", ["model"]).inc({ model: 'say "hi"' }, 2);
+  registry.histogram("latency_seconds", "Latency.", [], [0.5, 1]).observe({}, 0.7);
+  assert.equal(registry.render(), [
+    "# HELP calls_total Calls.", "# TYPE calls_total counter", 'calls_total{model="say \\"hi\\""} 2',
+    "# HELP latency_seconds Latency.", "# TYPE latency_seconds histogram",
+    'latency_seconds_bucket{le="0.5"} 0', 'latency_seconds_bucket{le="1"} 1', 'latency_seconds_bucket{le="+Inf"} 1',
+    "latency_seconds_sum 0.7", "latency_seconds_count 1", "",
+  ].join("\n"));
+
+  const out = [];
+  configureLogging({ write: (line) => out.push(JSON.parse(line)) });
+  createLogger({ runId: "r1" }).child({ callId: "c1" }, ["my-private-key-123"]).error("model call failed", {
+    error: "401 for my-private-key-123 (Authorization: Bearer abc.def, sk-ant-api03-xyz789)",
+    messages: [{ role: "user", content: "secret question" }],
+    data: { answer: "The answer.", result: { decision: "REVISE", issues: ["a", "b"] } },
+  });
+  configureLogging({ write: (line) => lines.push(line) });
+  const { time, ...entry } = out[0];
+  assert.deepEqual(entry, {
+    level: "error", msg: "model call failed", runId: "r1", callId: "c1",
+    error: "401 for [REDACTED] (Authorization: Bearer [REDACTED] [REDACTED])",
+    messages: "[1 items]",
+    data: { answer: "[11 chars]", result: { decision: "REVISE", issues: "[2 items]" } },
+  });
+});
+
+test("calls and events are logged per run and call, and counted in /metrics", async () => {
+  fake.script(({ api, kind, n }) => {
+    if (api === "anthropic" && kind === "solve" && n === 1) return reply.error(529, { "retry-after": "0.01" });
+  });
+  const { events } = await postConsensus(app.baseUrl, { ...KEYS, question: "What is 2+2?", mode: "fast" });
+  const runId = events[0].data.id;
+  const logged = lines.map((l) => JSON.parse(l));
+
+  const calls = logged.filter((l) => l.msg.startsWith("model call"));
+  assert.deepEqual(calls.map((l) => l.msg).sort(), ["model call", "model call", "model call", "model call", "model call retry"]);
+  assert.ok(calls.every((l) => l.runId === runId && /^[0-9a-f]{8}$/.test(l.callId)));
+  const retry = calls.find((l) => l.msg === "model call retry");
+  assert.deepEqual([retry.level, retry.status, retry.phase, retry.participant], ["warn", 529, "solve", "claude"]);
+  // The retry and its successful attempt share a call id.
+  assert.ok(calls.some((l) => l.msg === "model call" && l.callId === retry.callId && l.attempt === 1));
+
+  const answer = logged.find((l) => l.msg === "event" && l.event === "answer");
+  assert.equal(answer.runId, runId);
+  assert.match(answer.data.text, /^\[\d+ chars\]$/);
+  for (const secret of [...Object.values(KEYS), "What is 2+2?", "Answer from"]) {
+    assert.ok(lines.every((l) => !l.includes(secret)), `${secret} is not logged`);
+  }
+
+  const metrics = await (await fetch(`${app.baseUrl}/metrics`)).text();
+  for (const line of [
+    'consensus_model_attempts_total{provider="anthropic",model="claude-test",phase="solve",result="retry"} 1',
+    'consensus_model_attempts_total{provider="anthropic",model="claude-test",phase="solve",result="ok"} 1',
+    'consensus_model_retries_total{provider="anthropic",model="claude-test",status="529"} 1',
+    'consensus_review_parses_total{method="native"} 2',
+    'consensus_runs_total{mode="fast",outcome="consensus"} 1',
+    'consensus_run_iterations_bucket{mode="fast",outcome="consensus",le="1"} 1',
+    "consensus_active_runs 0",
+  ]) assert.ok(metrics.includes(`\n${line}\n`), line);
+  assert.match(metrics, /\nconsensus_model_call_duration_seconds_count\{provider="openai-responses",model="gpt-test",phase="review"\} 1\n/);
+
+  const health = await (await fetch(`${app.baseUrl}/healthz`)).json();
+  assert.deepEqual([health.status, health.activeRuns, health.cache], ["ok", 0, null]);
+});
@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { render, loadPromptLibrary, createPrompts } = require("../lib/prompts");
+const { makeSolverPrompt, makeReviewPrompt } = require("../lib/consensus");
+const { createFakeLlm } = require("./helpers/fake-llm");
+const { postConsensus } = require("./helpers/sse");
+const { KEYS, fakeParticipants, startApp } = require("./helpers/app");
+
+const fake = createFakeLlm();
+let app;
+const dirs = [];
+
+// A PROMPTS_DIR-style directory: { "templates/solver.md": "...", ... }.
+function promptsDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "consensus-prompts-"));
+  dirs.push(dir);
+  for (const [name, text] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), text);
+  }
+  return dir;
+}
+
+const SOLVER = "---\nname: Terse solver\nversion: 7\n---\nYou are {{role}}. Today is {{today}}. One line only.\n\n{{request}}\n";
+
+test.before(async () => {
+  const promptLibrary = loadPromptLibrary([promptsDir({
+    "templates/solver.md": SOLVER,
+    "presets/haiku.md": "---\nname: Haiku\nversion: 2\n---\nAnswer as a haiku.\n",
+  })]);
+  app = await startApp({ participants: fakeParticipants(await fake.start()), promptLibrary });
+});
+
+test.afterEach(() => fake.reset());
+
+test.after(async () => {
+  await app.close();
+  await fake.close();
+  for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("templates interpolate once, and a bad template fails the load", () => {
+  const body = "{{#context}}Earlier:\n{{context}}\n\n{{/context}}Q: {{request}}";
+  assert.equal(render(body, { request: "Is {{context}} a variable?", context: "" }), "Q: Is {{context}} a variable?");
+  assert.equal(render(body, { request: "And now?", context: "We met." }), "Earlier:\nWe met.\n\nQ: And now?");
+
+  assert.throws(() => loadPromptLibrary([promptsDir({ "templates/solver.md": "---\nversion: 1\n---\n{{question}}" })]),
+    /solver\.md: unknown variable\(s\) question/);
+  assert.throws(() => loadPromptLibrary([promptsDir({ "presets/x.md": "No front matter." })]), /x\.md: missing front matter/);
+});
+
+test("a preset and instructions make the system prompt and reach reviewers", () => {
+  const library = loadPromptLibrary([]);
+  const plain = createPrompts(library);
+  assert.equal(plain.system, "");
+  assert.match(plain.version, /^default@1\/[0-9a-f]{8}$/);
+  // The built-in templates render the same prompts as the defaults.
+  assert.equal(makeSolverPrompt("2+2?", "Claude", "", plain), makeSolverPrompt("2+2?", "Claude"));
+  assert.match(makeSolverPrompt("2+2?", "Claude"), new RegExp(`^Today's date is ${new Date().toISOString().split("T")[0]}\\.`));
+  assert.doesNotMatch(makeReviewPrompt("2+2?", "4", "GPT", "", plain), /INSTRUCTIONS/);
+
+  const review = createPrompts(library, { preset: "code-review", instructions: "  Only flag SQL injection.  " });
+  assert.match(review.system, /^The request is a code review\.[\s\S]*\n\nInstructions for this request:\nOnly flag SQL injection\.$/);
+  assert.match(review.version, /^code-review@1\/[0-9a-f]{8}$/);
+  assert.equal(review.versions.preset, "code-review@1");
+  const prompt = makeReviewPrompt("Review app.js", "Looks fine.", "GPT", "", review);
+  assert.match(prompt, /- decision=REVISE if answer ignores the INSTRUCTIONS; list what it missed in issues\.\n\nINSTRUCTIONS the answer had to follow:\nThe request is a code review\./);
+  assert.match(prompt, /Only flag SQL injection\.\n\nQUESTION:\nReview app\.js/);
+
+  assert.throws(() => createPrompts(library, { preset: "sonnet" }), /Unknown preset: sonnet/);
+});
+
+test("the preset goes out as the system prompt and every event carries the prompt version", async () => {
+  const { events } = await postConsensus(app.baseUrl, {
+    ...KEYS, question: "What is 2+2?", mode: "fast", preset: "haiku", instructions: "Use the number 4.",
+  });
+  const version = events[0].data.promptVersion;
+  assert.match(version, /^haiku@2\/[0-9a-f]{8}$/);
+  assert.ok(events.every((e) => e.data.promptVersion === version), "every event names the version");
+  assert.deepEqual(events.find((e) => e.event === "participants").data.prompts.templates.solver, "7");
+
+  const system = "Answer as a haiku.\n\nInstructions for this request:\nUse the number 4.";
+  const solves = fake.requests.filter((r) => r.kind === "solve");
+  assert.deepEqual(solves.map((r) => r.body.system ?? r.body.instructions), [system, system]);
+  assert.match(solves.find((r) => r.api === "anthropic").prompt, /^You are Claude\. Today is \d{4}-\d\d-\d\d\. One line only\.\n\nWhat is 2\+2\?$/);
+  // Reviews are checked against the instructions, not sent them as a system prompt.
+  const reviews = fake.requests.filter((r) => r.kind === "review");
+  assert.ok(reviews.every((r) => !r.body.system && !r.body.instructions && r.prompt.includes("Use the number 4.")));
+
+  const presets = await (await fetch(`${app.baseUrl}/api/presets`)).json();
+  assert.deepEqual(presets.presets.map((p) => p.id), ["default", "code-review", "legal-summary", "resume-critique", "haiku"]);
+
+  const unknown = await postConsensus(app.baseUrl, { ...KEYS, question: "Hi", preset: "sonnet" });
+  assert.deepEqual([unknown.status, unknown.json.error], [400, "Unknown preset: sonnet"]);
+});
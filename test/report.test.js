@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { diffLines } = require("../lib/report");
+const { createFakeLlm, reply } = require("./helpers/fake-llm");
+const { postConsensus } = require("./helpers/sse");
+const { KEYS, fakeParticipants, startApp } = require("./helpers/app");
+
+const fake = createFakeLlm();
+let app;
+
+test.before(async () => {
+  app = await startApp({ participants: fakeParticipants(await fake.start()) });
+});
+
+test.afterEach(() => fake.reset());
+
+test.after(async () => {
+  await app.close();
+  await fake.close();
+});
+
+test("revisions diff line by line with a little context", () => {
+  const before = ["Intro.", "a", "b", "c", "d", "e", "Old claim.", "Outro."].join("\n");
+  const after = ["Intro.", "a", "b", "c", "d", "e", "New claim.", "Extra.", "Outro."].join("\n");
+  assert.deepEqual(diffLines(before, after), {
+    added: 2,
+    removed: 1,
+    diff: ["…", "  d", "  e", "- Old claim.", "+ New claim.", "+ Extra.", "  Outro."].join("\n"),
+  });
+  assert.deepEqual(diffLines("same", "same"), { added: 0, removed: 0, diff: "…" });
+});
+
+test("a stored run exports as Markdown, JSON and a standalone HTML page", async () => {
+  // Both revise after the first round of reviews.
+  fake.script(({ kind, model, n }) => {
+    if (kind === "review") return n === 1 ? reply.revise({ issues: ["Say <why>."] }) : reply.accept();
+    if (kind === "solve") return reply.answer(n === 1 ? `${model} says 4.` : `${model} says 4.\nBecause 2+2=4.`);
+  });
+  const file = new File(["Arithmetic notes."], "notes.md", { type: "text/markdown" });
+  const { events } = await postConsensus(app.baseUrl, { ...KEYS, question: "What is 2+2?", mode: "robust", convergence: "off", files: file });
+  const id = events[0].data.id;
+
+  const json = await fetch(`${app.baseUrl}/api/runs/${id}/export?format=json`);
+  assert.equal(json.headers.get("content-disposition"), `attachment; filename="consensus-${id.slice(0, 8)}.json"`);
+  const report = await json.json();
+  assert.deepEqual([report.question, report.status, report.outcome, report.settings.mode], ["What is 2+2?", "completed", "consensus", "robust"]);
+  assert.deepEqual(report.files.map((f) => f.name), ["notes.md"]);
+  assert.equal(report.iterations.length, 2);
+  assert.ok(report.iterations[0].answers.every((a) => !a.changes));
+  const revised = report.iterations[1].answers.find((a) => a.participant === "claude");
+  assert.deepEqual(revised.changes, { added: 1, removed: 0, diff: "  claude-test says 4.\n+ Because 2+2=4." });
+
+  const md = await fetch(`${app.baseUrl}/api/runs/${id}/export`);
+  assert.match(md.headers.get("content-type"), /^text\/markdown/);
+  const text = await md.text();
+  assert.match(text, /^# Consensus report\n\n## Question\n\n> What is 2\+2\?\n/);
+  assert.match(text, /\| Outcome \| consensus \|\n[\s\S]*## Attachments\n\n- \*\*notes\.md\*\* \(md\) — included/);
+  assert.match(text, /## Iteration 2\n[\s\S]*```diff\n  claude-test says 4\.\n\+ Because 2\+2=4\.\n```/);
+  assert.match(text, /#### GPT → Claude: REVISE \(confidence 0\.4\)\n\n[^\n]*\n- Issue: Say <why>\./);
+
+  const html = await (await fetch(`${app.baseUrl}/api/runs/${id}/export?format=html`)).text();
+  assert.match(html, /^<!DOCTYPE html>[\s\S]*<style>/);
+  assert.doesNotMatch(html, /<script|<link|src=/, "self-contained");
+  assert.match(html, /Issue: Say &lt;why&gt;\./);
+  assert.match(html, /<span class="add">\+ Because 2\+2=4\.<\/span>/);
+
+  const bad = await fetch(`${app.baseUrl}/api/runs/${id}/export?format=pdf`);
+  assert.deepEqual([bad.status, (await bad.json()).error], [400, "Unknown format: use md, json, html."]);
+  assert.equal((await fetch(`${app.baseUrl}/api/runs/nope/export`)).status, 404);
+});
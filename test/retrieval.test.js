@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { chunkText, bm25Scores, selectExcerpts } = require("../lib/retrieval");
+const { formatFiles } = require("../lib/files");
+
+test("text is split into sections at paragraph, then line boundaries", () => {
+  assert.deepEqual(chunkText("One.\n\nTwo.\n\nThree.", 12), ["One.\n\nTwo.", "Three."]);
+  assert.deepEqual(chunkText("aaaa\nbbbb\ncccc", 9), ["aaaa\nbbbb", "cccc"]);
+  assert.deepEqual(chunkText("x".repeat(25), 10), ["x".repeat(10), "x".repeat(10), "x".repeat(5)]);
+  assert.deepEqual(chunkText(""), []);
+});
+
+test("BM25 ranks the sections that share rare query terms first", () => {
+  const scores = bm25Scores([
+    "The invoice total is due in thirty days.",
+    "Shipping takes five days; the invoice is emailed.",
+    "Nothing relevant here at all.",
+  ], "When is the invoice total due?");
+  assert.ok(scores[0] > scores[1] && scores[1] > scores[2]);
+  assert.equal(scores[2], 0);
+});
+
+test("excerpts keep document order and section numbers within the budget", () => {
+  // 30 paragraphs of ~500 chars, two to a section: paragraph 20 is in §11.
+  const content = Array.from({ length: 30 }, (_, i) => `Paragraph ${i}: ${i === 20 ? "the warranty lasts two years" : "general remarks"}. `.padEnd(500, "-")).join("\n\n");
+  const files = [{ name: "terms.txt", type: "txt", content }, { name: "other.txt", type: "txt", content: "Warranty claims go to support." }];
+  const [terms, other] = selectExcerpts("How long is the warranty?", files, 1100);
+  assert.equal(terms.total, 15);
+  assert.deepEqual(terms.sections.map((s) => s.n), [11]);
+  assert.match(terms.sections[0].text, /^Paragraph 20: the warranty lasts two years/);
+  assert.deepEqual(other.sections, [{ n: 1, text: "Warranty claims go to support." }]);
+
+  // With no matching terms, files are taken from the start, in turn.
+  const [first, second] = selectExcerpts("zzz", files, 1200);
+  assert.deepEqual([first.sections.map((s) => s.n), second.sections.map((s) => s.n)], [[1], [1]]);
+
+  const small = formatFiles("anything", files.slice(1), 1000);
+  assert.deepEqual(small, { text: "### File: other.txt (txt)\n```\nWarranty claims go to support.\n```", excerpts: null });
+});
@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  REVIEW_SCHEMA,
+  providerSchema,
+  validateReview,
+  extractJson,
+  parseReview,
+  parseReviewJson,
+} = require("../lib/review");
+
+const valid = {
+  decision: "ACCEPT",
+  is_complete: true,
+  has_unsupported_claims: false,
+  has_contradictions: false,
+  issues: [],
+  suggestions: [],
+  confidence: 0.9,
+};
+
+test("validateReview accepts a complete review and names every problem", () => {
+  assert.deepEqual(validateReview(valid), []);
+  const errors = validateReview({ ...valid, decision: "MAYBE", confidence: 2, extra: 1 });
+  assert.deepEqual(errors, [
+    "$.decision: must be one of ACCEPT, REVISE",
+    "$.confidence: above 1",
+    "$.extra: unexpected",
+  ]);
+});
+
+test("providerSchema drops range keywords but keeps the shape", () => {
+  const schema = providerSchema();
+  assert.equal(schema.properties.confidence.minimum, undefined);
+  assert.equal(schema.properties.issues.maxItems, undefined);
+  assert.deepEqual(schema.required, REVIEW_SCHEMA.required);
+  assert.equal(REVIEW_SCHEMA.properties.confidence.maximum, 1);
+});
+
+test("extractJson finds objects in fences and after a preamble", () => {
+  const json = JSON.stringify(valid);
+  assert.deepEqual(extractJson(json), valid);
+  assert.deepEqual(extractJson("Here you go:\n```json\n" + json + "\n```"), valid);
+  assert.deepEqual(extractJson(`My review {braces} aside: ${json} -- done`), valid);
+  assert.deepEqual(extractJson('{"note": "a } in a string", "x": 1}'), { note: "a } in a string", x: 1 });
+  assert.equal(extractJson("no json here"), null);
+});
+
+test("parseReview reports how the review was obtained", () => {
+  const json = JSON.stringify(valid);
+  assert.equal(parseReview(json, { native: true }).method, "native");
+  assert.equal(parseReview(json).method, "extracted");
+  assert.equal(parseReview("```json\n" + json + "\n```", { native: true }).method, "extracted");
+
+  const none = parseReview("I refuse.");
+  assert.equal(none.review, null);
+  assert.equal(none.method, null);
+});
+
+test("parseReview repairs fields instead of rejecting the review", () => {
+  const { review, method, errors } = parseReview(JSON.stringify({
+    decision: "approved",
+    is_complete: "yes",
+    has_unsupported_claims: 0,
+    issues: "one issue",
+    confidence: "85%",
+  }));
+  assert.equal(method, "repaired");
+  assert.deepEqual(review, {
+    decision: "ACCEPT",
+    is_complete: true,
+    has_unsupported_claims: false,
+    has_contradictions: false,
+    issues: ["one issue"],
+    suggestions: [],
+    confidence: 0.85,
+  });
+  assert.ok(errors.includes("$.has_contradictions: missing"));
+  assert.ok(errors.includes("has_contradictions: missing, defaulted to false"));
+});
+
+test("an ACCEPT that contradicts its own flags is repaired to REVISE", () => {
+  const { review } = parseReview(JSON.stringify({ ...valid, has_contradictions: true, confidence: 80 }));
+  assert.equal(review.decision, "REVISE");
+  assert.equal(review.confidence, 0.8);
+});
+
+test("parseReviewJson returns the review or null", () => {
+  assert.deepEqual(parseReviewJson(JSON.stringify(valid)), valid);
+  assert.equal(parseReviewJson(""), null);
+});
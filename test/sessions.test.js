@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "consensus-sessions-"));
+
+const { createFakeLlm, reply } = require("./helpers/fake-llm");
+const { postConsensus, eventNames } = require("./helpers/sse");
+const { KEYS, fakeParticipants, startApp } = require("./helpers/app");
+const { DEFAULT_SESSIONS } = require("../lib/config");
+const { createSessionStore } = require("../lib/sessions");
+
+const fake = createFakeLlm();
+let app;
+
+test.before(async () => {
+  app = await startApp({
+    participants: fakeParticipants(await fake.start()),
+    sessionSettings: { ...DEFAULT_SESSIONS, recentTurns: 1, dir: path.join(tmp, "sessions") },
+  });
+});
+
+test.afterEach(() => fake.reset());
+
+test.after(async () => {
+  await app.close();
+  await fake.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test("context keeps recent turns and earlier files within the budget", () => {
+  const store = createSessionStore({ maxContextChars: 2000, recentTurns: 2, dir: path.join(tmp, "unit") });
+  const { id } = store.create("u");
+  store.addTurn(id, { question: "Summarize the report", answer: "A".repeat(3000) }, [
+    { name: "report.txt", type: "txt", content: "R".repeat(5000) },
+  ]);
+  store.addTurn(id, { question: "Shorter", answer: "Short." }, []);
+
+  const context = store.buildContext(store.get(id));
+  assert.ok(context.length <= 2300, `context is ${context.length} chars`);
+  assert.match(context, /^Turn 1\nUser: Summarize the report\nFiles attached: report\.txt\nAgreed answer:\nA+\n\.\.\.\[TRUNCATED\]/);
+  assert.match(context, /Turn 2\nUser: Shorter\nAgreed answer:\nShort\./);
+  assert.match(context, /Files from earlier turns \(relevant sections; cite them as \[file §n\]\):\n\n### File: report\.txt \(txt\), 1 of 4 sections\n\n\[report\.txt §1\]\n```\nR+/);
+});
+
+test("older turns are folded into a summary, or clipped if summarizing fails", async () => {
+  const store = createSessionStore({ maxContextChars: 2000, recentTurns: 1, dir: path.join(tmp, "unit") });
+  const { id } = store.create("u");
+  for (const q of ["One", "Two", "Three"]) store.addTurn(id, { question: q, answer: `Answer ${q}.` });
+
+  let seen;
+  assert.equal(await store.compact(id, async (text) => ((seen = text), "Asked One and Two.")), true);
+  assert.match(seen, /Turn 1\nUser: One[\s\S]*Turn 2\nUser: Two/);
+  assert.doesNotMatch(seen, /Three/);
+  assert.equal(await store.compact(id, () => assert.fail("nothing left to fold")), false);
+
+  const session = store.get(id);
+  assert.equal(session.summarizedTurns, 2);
+  assert.equal(store.buildContext(session), "Summary of earlier turns:\nAsked One and Two.\n\nTurn 3\nUser: Three\nAgreed answer:\nAnswer Three.");
+
+  store.addTurn(id, { question: "Four", answer: "Answer Four." });
+  await store.compact(id, async () => { throw new Error("offline"); });
+  assert.match(store.get(id).summary, /^Summary of earlier turns:\nAsked One and Two\.\n\nTurn 3\nUser: Three/);
+});
+
+test("follow-ups carry the conversation and earlier files forward", async () => {
+  const { id } = await (await fetch(`${app.baseUrl}/api/sessions`, { method: "POST" })).json();
+  const notes = new File(["Launch is on March 3. Budget is 40k."], "notes.txt");
+
+  const first = await postConsensus(app.baseUrl, {
+    ...KEYS, question: "Summarize the notes", mode: "fast", session_id: id, useFiles: "true", files: notes,
+  });
+  assert.deepEqual(first.events[0].data, { id: first.events[0].data.id, session: id, promptVersion: first.events[0].data.promptVersion });
+  fake.reset();
+
+  const second = await postConsensus(app.baseUrl, { ...KEYS, question: "Now make it shorter", mode: "fast", session_id: id });
+  assert.equal(second.events.at(-1).event, "consensus");
+  const solve = fake.requests.find((r) => r.kind === "solve").prompt;
+  assert.match(solve, /Conversation so far \(the request below may refer to it\):\nTurn 1\nUser: Summarize the notes\nFiles attached: notes\.txt\nAgreed answer:\nAnswer from (claude|gpt)-test\./);
+  assert.match(solve, /Files from earlier turns:\n\n### File: notes\.txt \(txt\)\n```\nLaunch is on March 3/);
+  assert.match(solve, /User request:\nNow make it shorter$/);
+  const review = fake.requests.find((r) => r.kind === "review").prompt;
+  assert.match(review, /CONVERSATION \(earlier turns\):\nTurn 1/);
+
+  const session = await (await fetch(`${app.baseUrl}/api/sessions/${id}`)).json();
+  assert.deepEqual(session.turns.map((t) => [t.question, t.outcome]), [
+    ["Summarize the notes", "consensus"],
+    ["Now make it shorter", "consensus"],
+  ]);
+  assert.deepEqual(session.files, [{ name: "notes.txt", type: "txt", chars: 36 }]);
+  fake.reset();
+
+  // With recentTurns: 1, the third turn first folds turn 1 into a summary.
+  fake.script(({ kind }) => (kind === "summary" ? reply.text("The user summarized notes about a March 3 launch.") : undefined));
+  const third = await postConsensus(app.baseUrl, { ...KEYS, question: "And in French?", mode: "fast", session_id: id });
+  assert.deepEqual(eventNames(third.events).slice(0, 2), ["run", "status"]);
+  assert.equal(third.events[1].data.message, "Summarizing earlier turns…");
+  assert.equal(fake.requests.filter((r) => r.kind === "summary").length, 1);
+  const prompt = fake.requests.find((r) => r.kind === "solve").prompt;
+  assert.match(prompt, /Summary of earlier turns:\nThe user summarized notes about a March 3 launch\.\n\nTurn 2\nUser: Now make it shorter/);
+  assert.doesNotMatch(prompt, /Turn 1\n/);
+
+  const { sessions } = await (await fetch(`${app.baseUrl}/api/sessions`)).json();
+  assert.deepEqual(sessions.map((s) => [s.id, s.title, s.turns]), [[id, "Summarize the notes", 3]]);
+});
+
+test("an unknown session is rejected before anything runs", async () => {
+  const { status, json } = await postConsensus(app.baseUrl, { ...KEYS, question: "Q", session_id: "nope" });
+  assert.equal(status, 404);
+  assert.match(json.error, /Session not found/);
+  assert.equal(fake.requests.length, 0);
+  assert.equal((await fetch(`${app.baseUrl}/api/sessions/nope`, { method: "DELETE" })).status, 404);
+});
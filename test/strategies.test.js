@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { runConsensus } = require("../lib/consensus");
+const { listStrategies, splitRebuttal, parseJudgment } = require("../lib/strategies");
+const { parseSse, eventNames } = require("./helpers/sse");
+
+function fakeRes() {
+  let body = "";
+  return {
+    locals: {},
+    write: (chunk) => (body += chunk),
+    get events() {
+      return parseSse(body);
+    },
+  };
+}
+
+function mockParticipants(...overrides) {
+  return overrides.map((o, i) => ({ id: `m${i + 1}`, name: `Mock ${i + 1}`, provider: "mock", ...o }));
+}
+
+const run = (mode, participants, opts = {}) => {
+  const res = fakeRes();
+  return runConsensus("What is 2+2?", { mode, maxIters: 2, participants, keys: {}, convergence: { enabled: false }, ...opts }, res)
+    .then((outcome) => ({ outcome, events: res.events }));
+};
+
+test("the registry lists every mode and what the participants can run", () => {
+  const modes = listStrategies(mockParticipants({}, {}));
+  assert.deepEqual(modes.map((m) => [m.id, m.available, m.singleIteration]), [
+    ["robust", true, false], ["fast", true, true], ["synthesis", true, false], ["debate", true, false], ["judge", false, true],
+  ]);
+});
+
+test("synthesis merges the accepted answers and has the merge re-reviewed", async () => {
+  const { outcome, events } = await run("synthesis", mockParticipants({ mockConfidence: 0.6 }, { mockConfidence: 0.9 }));
+  assert.deepEqual(eventNames(events).filter((e) => e !== "answer_delta").slice(-9), [
+    "verdict", "similarity", "status", "step", "synthesis", "step", "review", "synthesis_verdict", "consensus",
+  ]);
+  const synthesis = events.find((e) => e.event === "synthesis").data;
+  // m1's answer was rated higher, so Mock 1 merges and Mock 2 reviews the merge.
+  assert.deepEqual([synthesis.participant, synthesis.from, synthesis.attempt], ["m1", ["m1", "m2"], 1]);
+  assert.equal(events.filter((e) => e.event === "review").at(-1).data.reviewedId, "synthesis");
+  assert.equal(outcome.event, "consensus");
+  assert.deepEqual([outcome.data.winner, outcome.data.synthesized], ["synthesis", true]);
+  assert.equal(outcome.data.answer, synthesis.text);
+  assert.equal(outcome.data.totalCalls, 6);
+});
+
+test("debate runs an opening and rebuttal rounds, then reviews once", async () => {
+  const { outcome, events } = await run("debate", mockParticipants({}, {}), { maxIters: 1 });
+  assert.deepEqual(events.filter((e) => e.event === "debate_round").map((e) => e.data.stage), ["opening", "rebuttal"]);
+  assert.equal(events.filter((e) => e.event === "review").length, 2);
+  assert.equal(outcome.event, "consensus");
+  assert.equal(outcome.data.iteration, 2);
+  assert.equal(outcome.data.totalCalls, 6);
+
+  assert.deepEqual(splitRebuttal("REBUTTAL:\nB forgot the units.\n\n**ANSWER:**\n4 apples."), { answer: "4 apples.", rebuttal: "B forgot the units." });
+  assert.deepEqual(splitRebuttal("Just 4."), { answer: "Just 4.", rebuttal: "" });
+});
+
+test("judge: the last participant picks between the others' anonymized answers", async () => {
+  const judgment = JSON.stringify({ winner: "B", ranking: ["B", "A"], reasons: "B shows the work.", confidence: 0.7 });
+  const { outcome, events } = await run("judge", mockParticipants({}, {}, { mockReviewText: judgment }));
+  assert.deepEqual(eventNames(events).filter((e) => e !== "answer_delta"), [
+    "participants", "status", "iteration", "step", "step", "answer", "answer", "step", "judgment", "consensus",
+  ]);
+  const judged = events.find((e) => e.event === "judgment").data;
+  assert.deepEqual([judged.judge, judged.winner, judged.ranking, judged.labels], ["m3", "m2", ["m2", "m1"], { A: "m1", B: "m2" }]);
+  assert.deepEqual([outcome.event, outcome.data.winner, outcome.data.judge, outcome.data.totalCalls], ["consensus", "m2", "m3", 3]);
+
+  // Without a scripted reply the mock judge answers with a judgment of its own.
+  const mock = await run("judge", mockParticipants({}, {}, {}));
+  assert.deepEqual([mock.outcome.event, mock.outcome.data.winner, mock.outcome.data.totalCalls], ["consensus", "m1", 3]);
+  const picked = await run("judge", mockParticipants({}, {}, { mockJudgment: { winner: "B" } }));
+  assert.deepEqual([picked.outcome.event, picked.outcome.data.winner], ["consensus", "m2"]);
+
+  const failed = await run("judge", mockParticipants({}, {}, { mockReviewText: "I like both." }));
+  assert.deepEqual([failed.outcome.event, failed.outcome.data.reason, failed.outcome.data.totalCalls], ["fallback", "judge_failed", 4]);
+
+  assert.equal(parseJudgment("{\"winner\": \"Answer a\", \"ranking\": [\"C\"]}", ["A", "B"]).ranking.join(), "A,B");
+  assert.equal(parseJudgment("{\"winner\": \"C\"}", ["A", "B"]), null);
+  await assert.rejects(run("judge", mockParticipants({}, {})), /at least 3 participants/);
+});
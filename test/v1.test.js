@@ -0,0 +1,174 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "consensus-v1-"));
+process.env.FILES_DIR = path.join(tmp, "files");
+fs.mkdirSync(process.env.FILES_DIR);
+fs.writeFileSync(path.join(process.env.FILES_DIR, "notes.md"), "The launch date is March 3.");
+
+const { createFakeLlm, reply } = require("./helpers/fake-llm");
+const { parseSse, eventNames } = require("./helpers/sse");
+const { fakeParticipants, startApp } = require("./helpers/app");
+
+const HEADERS = {
+  "Content-Type": "application/json",
+  "X-Anthropic-Key": "sk-ant-test-key",
+  "X-OpenAI-Key": "sk-openai-test-key",
+};
+
+const fake = createFakeLlm();
+let app;
+
+test.before(async () => {
+  app = await startApp({ participants: fakeParticipants(await fake.start()) });
+});
+
+test.afterEach(() => fake.reset());
+
+test.after(async () => {
+  await app.close();
+  await fake.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+async function post(body, headers = HEADERS) {
+  const resp = await fetch(`${app.baseUrl}/v1/consensus`, {
+    method: "POST",
+    headers,
+    body: typeof body === "string" ? body : JSON.stringify(body),
+  });
+  const text = await resp.text();
+  const isSse = (resp.headers.get("content-type") || "").includes("text/event-stream");
+  return { status: resp.status, body: isSse ? parseSse(text) : JSON.parse(text) };
+}
+
+test("returns one JSON result with the transcript", async () => {
+  fake.script(({ kind, n }) => (kind === "review" && n === 1 ? reply.revise() : undefined));
+  const { status, body } = await post({ question: "What is 2+2?", iterations: 3, convergence: false });
+
+  assert.equal(status, 200);
+  assert.equal(body.outcome, "consensus");
+  assert.ok(["claude", "gpt"].includes(body.winner));
+  assert.match(body.answer, /^Answer from/);
+  assert.deepEqual(body.participants.map((p) => p.id), ["claude", "gpt"]);
+  assert.equal(body.iterations.length, 2);
+
+  const [first, second] = body.iterations;
+  assert.deepEqual(first.answers.map((a) => a.participant).sort(), ["claude", "gpt"]);
+  assert.deepEqual(first.reviews.map((r) => [r.reviewer, r.reviewed, r.method, r.result.decision]).sort(), [
+    ["claude", "gpt", "native", "REVISE"],
+    ["gpt", "claude", "native", "REVISE"],
+  ]);
+  assert.deepEqual(first.verdicts.map((v) => v.accepted), [false, false]);
+  assert.deepEqual(second.verdicts.map((v) => v.accepted), [true, true]);
+  assert.equal(typeof second.similarity.minAgreement, "number");
+  assert.equal(body.totalCalls, 8);
+  assert.equal(body.usage.calls, 8);
+
+  const stored = await (await fetch(`${app.baseUrl}/v1/runs/${body.id}`)).json();
+  assert.equal(stored.status, "completed");
+  assert.deepEqual({ ...stored, status: undefined }, { ...body, status: undefined });
+});
+
+test("a budget cap is reported as its own outcome", async () => {
+  const { body } = await post({ question: "What is 2+2?", budget: { maxTokens: 1 } });
+  assert.equal(body.outcome, "budget");
+  assert.equal(body.reason, "budget_exceeded");
+});
+
+test("base64 and referenced attachments reach the prompt", async () => {
+  const { status } = await post({
+    question: "When is the launch?",
+    mode: "fast",
+    attachments: [
+      { name: "brief.txt", content: Buffer.from("Budget is 40k.").toString("base64") },
+      { ref: "notes.md" },
+    ],
+  });
+  assert.equal(status, 200);
+  const solve = fake.requests.find((r) => r.kind === "solve");
+  assert.match(solve.prompt, /### File: brief\.txt \(txt\)\n```\nBudget is 40k\./);
+  assert.match(solve.prompt, /### File: notes\.md \(md\)\n```\nThe launch date is March 3\./);
+});
+
+test("an attachment can be left out of the prompt with include: false", async () => {
+  const { status, body } = await post({
+    question: "When is the launch?",
+    mode: "fast",
+    attachments: [{ ref: "notes.md" }, { name: "draft.txt", content: Buffer.from("Old draft.").toString("base64"), include: false }],
+  });
+  assert.equal(status, 200);
+  assert.deepEqual(body.files.map((f) => [f.name, f.status, f.reason]), [["notes.md", "included", null], ["draft.txt", "skipped", "Excluded"]]);
+  assert.doesNotMatch(fake.requests.find((r) => r.kind === "solve").prompt, /Old draft/);
+});
+
+test("a large attachment contributes its relevant sections, with citations", async () => {
+  const filler = (i) => `Section ${i} covers office plants, parking and the coffee rota in general terms.`.repeat(8);
+  const handbook = Array.from({ length: 400 }, (_, i) => (i === 321 ? "Refunds are issued within 14 days of the returned item arriving." : filler(i))).join("\n\n");
+  const { status, body } = await post({
+    question: "How long do refunds take?",
+    mode: "fast",
+    attachments: [{ name: "handbook.txt", content: Buffer.from(handbook).toString("base64") }],
+  });
+  assert.equal(status, 200);
+  assert.equal(body.files[0].status, "truncated");
+  assert.match(body.files[0].reason, /^\d+ of \d+ sections, the most relevant to the request$/);
+  const solve = fake.requests.find((r) => r.kind === "solve").prompt;
+  assert.ok(solve.length < 70000, `prompt is ${solve.length} chars`);
+  assert.match(solve, /cite them as \[file §n\]/);
+  assert.match(solve, /### File: handbook\.txt \(txt\), \d+ of \d+ sections/);
+  assert.match(solve, /\[handbook\.txt §\d+\]\n```\n[^`]*Refunds are issued within 14 days/);
+  const review = fake.requests.find((r) => r.kind === "review").prompt;
+  assert.match(review, /A citation like \[file §n\] must match what that section says/);
+});
+
+test("stream=true answers with the /api/consensus event stream", async () => {
+  const { status, body } = await post({ question: "What is 2+2?", mode: "fast", stream: true });
+  assert.equal(status, 200);
+  assert.deepEqual(eventNames(body), [
+    "run", "participants", "status",
+    "iteration", "step", "step", "answer", "answer", "step", "step", "review", "review",
+    "consensus",
+  ]);
+});
+
+test("errors are typed", async () => {
+  const cases = [
+    [{ question: "Q", mode: "slow" }, HEADERS, 400, "invalid_request", "mode"],
+    [{ mode: "fast" }, HEADERS, 400, "invalid_request", "question"],
+    [{ question: "Q", attachments: [{ name: "x.exe", content: "AAAA" }] }, HEADERS, 400, "unsupported_file", "attachments[0]"],
+    [{ question: "Q", attachments: [{ name: "x.txt", content: "not base64!" }] }, HEADERS, 400, "invalid_request", "attachments[0].content"],
+    [{ question: "Q", attachments: [{ ref: "../../etc/passwd" }] }, HEADERS, 400, "file_not_found", "attachments[0].ref"],
+    [{ question: "Q" }, { "Content-Type": "application/json" }, 401, "missing_api_key", undefined],
+    ["{not json", HEADERS, 400, "invalid_request", undefined],
+  ];
+  for (const [body, headers, status, type, param] of cases) {
+    const res = await post(body, headers);
+    assert.equal(res.status, status, JSON.stringify(body));
+    assert.equal(res.body.error.type, type, JSON.stringify(body));
+    assert.equal(res.body.error.param, param, JSON.stringify(body));
+    assert.equal(typeof res.body.error.message, "string");
+  }
+  assert.equal(fake.requests.length, 0);
+});
+
+test("a provider failure is an upstream_error with the run id", async () => {
+  fake.script(() => reply.error(401));
+  const { status, body } = await post({ question: "What is 2+2?", mode: "fast" });
+  assert.equal(status, 502);
+  assert.equal(body.error.type, "upstream_error");
+  assert.match(body.error.message, /401/);
+
+  const stored = await (await fetch(`${app.baseUrl}/v1/runs/${body.error.runId}`)).json();
+  assert.equal(stored.status, "error");
+  assert.equal(stored.outcome, "error");
+});
+
+test("serves the OpenAPI document", async () => {
+  const doc = await (await fetch(`${app.baseUrl}/v1/openapi.json`)).json();
+  assert.equal(doc.openapi, "3.0.3");
+  assert.ok(doc.paths["/v1/consensus"].post);
+});